@@ -0,0 +1,161 @@
+// particle throughput benchmark: runs the same seeded scene through the typed array pool (src/) and through the object-per-particle
+// version it replaced, and reports how many particles each gets through per frame budget
+//
+//   node bench/particles.js [--frames=600] [--count=1000] [--rounds=3] [--pattern=random] [--baseline=<commit>]
+//
+// the object-per-particle version is src/ as of the commit before the pool was added (or the given commit), taken out of git into
+// a temporary directory, so it needs to run in a clone of the repository
+//
+// a burst is set off every 10 frames on top of the auto bursts, which keeps a few thousand particles alive at the Extreme count.
+// each frame is stepped and then drawn with the real Renderer into stub canvases whose contexts do nothing, so the numbers cover
+// the simulation and the renderer's own loops, but not the browser's rasterization
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const args = {};
+for (let arg of process.argv.slice(2)) {
+  let [name, value] = arg.replace(/^--/, '').split('=');
+  args[name] = value;
+}
+const frames = Number(args.frames || 600);
+const count = Number(args.count || 1000);
+const rounds = Number(args.rounds || 3);
+const pattern = args.pattern || 'random';
+const frameBudget = 1000 / 60;
+const repository = path.join(__dirname, '..');
+
+function git(...gitArgs) {
+  return execFileSync('git', gitArgs, { cwd: repository, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+// writes src/ as of the given commit (by default the parent of the one that added src/pool.js) to a temporary directory, and
+// returns that directory
+function checkOutBaseline(commit) {
+  if (!commit) {
+    let added = git('log', '--diff-filter=A', '--format=%H', '--', 'src/pool.js').trim().split('\n').pop();
+    if (!added) { throw new Error('Could not find the commit that added src/pool.js; pass --baseline=<commit>'); }
+    commit = `${added}^`;
+  }
+  let files = git('ls-tree', '-r', '--name-only', commit, '--', 'src').trim().split('\n').filter((file) => file);
+  if (files.length == 0) { throw new Error(`${commit} has no src/ to benchmark against`); }
+  let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'particles-baseline-'));
+  for (let file of files) {
+    fs.mkdirSync(path.join(directory, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), git('show', `${commit}:${file}`));
+  }
+  return directory;
+}
+
+const pooled = {
+  name: 'typed array pool',
+  Simulation: require('../src/simulation.js').Simulation,
+  Renderer: require('../src/renderer.js').Renderer
+};
+const baselineDirectory = checkOutBaseline(args.baseline);
+const legacy = {
+  name: 'object per particle',
+  Simulation: require(path.join(baselineDirectory, 'src/simulation.js')).Simulation,
+  Renderer: require(path.join(baselineDirectory, 'src/renderer.js')).Renderer
+};
+// everything is loaded by now
+fs.rmSync(baselineDirectory, { recursive: true, force: true });
+
+// a 2d context that accepts every call and property the renderer uses, and does nothing
+function stubContext(canvas) {
+  let imageData = { data: new Uint8ClampedArray(4) };
+  return {
+    canvas: canvas,
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() {},
+    clearRect() {},
+    drawImage() {},
+    getImageData() { return imageData; },
+    putImageData() {}
+  };
+}
+
+function stubCanvas() {
+  let canvas = { width: 0, height: 0 };
+  let ctx = stubContext(canvas);
+  canvas.getContext = () => ctx;
+  return canvas;
+}
+
+// the same inputs for both implementations: a fixed seed, and bursts at positions that don't depend on the simulation
+function run(impl) {
+  let sim = new impl.Simulation({ width: 1280, height: 720, dpr: 1, particlesPerBurst: count, pattern: pattern, seed: 'bench' });
+  let settings = { enableGlow: true, enableReflections: true, persistStrokes: false, palette: 'random', colorEvolution: 'none', fadeOut: false };
+  let renderer = new impl.Renderer(sim, settings, {
+    canvas: stubCanvas(), hiddenCanvas: stubCanvas(), reflectCanvas: stubCanvas(), glowCanvas: stubCanvas()
+  });
+  sim.reset(270);
+
+  // only stepping and drawing are timed; setting off the extra bursts and counting particles aren't
+  let particleSteps = 0;
+  let elapsed = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    if (frame % 10 == 0) {
+      sim.particleBurst(((frame * 397) % 1000) / 1000 * sim.width, (0.15 + ((frame * 211) % 500) / 1000) * sim.height);
+    }
+    particleSteps += sim.liveParticleCount();
+
+    let start = process.hrtime.bigint();
+    let stepped = sim.step(1);
+    for (let i = 0; i < stepped.length; i++) {
+      renderer.enqueue(stepped[i]);
+    }
+    renderer.render(1);
+    elapsed += Number(process.hrtime.bigint() - start) / 1e6;   // ms
+  }
+  return { elapsed: elapsed, particleSteps: particleSteps, checksum: checksum(sim) };
+}
+
+// sums every live particle's position, so both implementations can be checked for producing the same scene
+function checksum(sim) {
+  let sum = 0;
+  for (let pGroup of sim.particleGroups.concat(sim.shells)) {
+    if (!pGroup.rendering) { continue; }
+    for (let i = 0; i < (pGroup.count !== undefined ? pGroup.count : pGroup.particles.length); i++) {
+      let particle = pGroup.particle ? pGroup.particle(i) : pGroup.particles[i];
+      if (particle.lifetime > 0) { sum += particle.x + particle.y + particle.z; }
+    }
+  }
+  return sum;
+}
+
+function format(number) {
+  return Math.round(number).toLocaleString('en-US');
+}
+
+console.log(`${frames} frames, ${count} particles per burst, ${pattern} pattern, best of ${rounds} rounds\n`);
+// each implementation gets a round that isn't counted first, and then the rounds take turns on which goes first. run one after the
+// other, whichever went second came out several percent ahead, whichever it was, and a short single round mostly timed the engine
+// warming up
+let results = {};
+for (let impl of [legacy, pooled]) {
+  run(impl);
+}
+for (let round = 0; round < rounds; round++) {
+  for (let impl of (round % 2 ? [pooled, legacy] : [legacy, pooled])) {
+    let result = run(impl);
+    if (!results[impl.name] || result.elapsed < results[impl.name].elapsed) { results[impl.name] = result; }
+  }
+}
+
+for (let impl of [legacy, pooled]) {
+  let best = results[impl.name];
+  let msPerFrame = best.elapsed / frames;
+  let particlesPerMs = best.particleSteps / best.elapsed;
+  console.log(impl.name);
+  console.log(`  ${msPerFrame.toFixed(3)} ms per frame, ${format(best.particleSteps / frames)} live particles per frame on average`);
+  console.log(`  ${format(particlesPerMs * frameBudget)} particles per 60fps frame budget`);
+}
+
+let before = results[legacy.name];
+let after = results[pooled.name];
+console.log(`\nspeedup: ${((before.elapsed / before.particleSteps) / (after.elapsed / after.particleSteps)).toFixed(2)}x`);
+console.log(`same scene: ${before.checksum === after.checksum ? 'yes' : `no (${before.checksum} vs ${after.checksum})`}`);
@@ -1,604 +1,735 @@
 window.addEventListener('load', ()=>{
   /*******************************************************************************/
   /*                                                                             */
-  /*                                   Classes                                   */
+  /*                                   Globals                                   */
   /*                                                                             */
   /*******************************************************************************/
 
-  //////////////////////////
-  //      RNG Class       //
-  //////////////////////////
-  // Using a fixed set of RNG values dramatically improves processing time by preventing constant calls to Math.random()
-  class RNG {
-    constructor() {
-      this.iterator = 0;
-      this.queue = [];
-      for ( let i = 0; i < 65535; i++) {
-        this.queue.push(Math.random());
-      }
-    }
-
-    // the class's only method simply gets the next value in the RNG chain
-    value() {
-      this.iterator = this.iterator == this.queue.length ? 0 : this.iterator + 1;
-      return this.queue[this.iterator];
-    }
+  const { createParticleExplosions, getPatternNames, SessionRecorder, downloadSession, exportAnimation } = window.ParticleExplosions;
+  const { builtInPresets, physicsOptions, createPreset, applyPreset, parsePresets, stringifyPresets } = window.ParticleExplosions;
+  const { optionSchema, decodeOptions, encodeOptions, loadOptions, storeOptions } = window.ParticleExplosions;
+  const { getPaletteNames, getColorEvolutionNames, getEmitterTypeNames, textShape, imageShape, SharedCanvas } = window.ParticleExplosions;
+
+  // saved presets are kept in the browser, as a presets file, and so are the options the page was last left with
+  const presetsStorageKey = 'particle-explosions-presets';
+  const optionsStorageKey = 'particle-explosions-options';
+
+  // the steps the particle count button cycles through
+  const particleCounts = [
+    { count: 50, label: 'Low', className: 'count-low' },
+    { count: 100, label: 'Medium', className: 'count-med' },
+    { count: 250, label: 'High', className: 'count-high' },
+    { count: 1000, label: 'Extreme', className: 'count-extreme' }
+  ];
+
+  // the steps the wind button cycles through
+  const winds = [
+    { label: 'Off', force: null },
+    { label: 'Breeze', force: { type: 'wind', strength: 0.25 } },
+    { label: 'Gusty', force: { type: 'wind', strength: 0.4, gust: 0.9 } },
+    { label: 'Gale', force: { type: 'wind', strength: 1.2, gust: 0.4 } }
+  ];
+
+  // what a click on the stage does: set off a burst (the instance handles that itself), place one of these forces, or draw an
+  // obstacle of this type by dragging
+  const placements = [
+    { label: 'Bursts', force: null },
+    { label: 'Attractors', force: { type: 'attractor', strength: 1.2, radius: 120 } },
+    { label: 'Repulsors', force: { type: 'repulsor', strength: 1.5, radius: 120 } },
+    { label: 'Vortices', force: { type: 'vortex', strength: 1.2, radius: 150 } },
+    { label: 'Lines', obstacle: 'line' },
+    { label: 'Circles', obstacle: 'circle' }
+  ];
+
+  // the walls the walls button turns on
+  const walls = { left: 0.8, right: 0.8, ceiling: 0.6 };
+
+  // options come from the defaults, then what was stored on the last visit, then the URL (?particlesPerBurst=1000&enableGlow=0...,
+  // see storage.js). values that can't be used are dropped with a warning. besides the options, the URL can have ?kiosk (hides
+  // every control), ?worker (runs the simulation in a Web Worker), and ?share and ?display (see below)
+  let params = new URLSearchParams(window.location.search);
+  let storage = null;
+  try {
+    storage = window.localStorage;
+  } catch (error) {
+    // storage is off limits here (e.g. blocked cookies), so nothing is kept between visits
   }
-
-  ////////////////////////////////
-  //    Particle Group Class    //
-  ////////////////////////////////
-  // Particles are grouped together, since all particles spawning from one burst are related in hue
-  // This also gives the opportunity to divvy up rendering operations a bit more
-  class ParticleGroup {
-    constructor(x, y, hue) {
-      this.x = x;
-      this.y = y;
-      this.hue = Math.round(hue);
-      this.particles = {};    // as opposed to storing as an array, ths implementation will use objects with numeric indices (0 through particlesPerBurst)
-      this.rendering = true;
-
-      for (let i = 0; i < particlesPerBurst; i++) {
-        this.particles[i] = new Particle(this.x, this.y);
-        this.particles.length = particlesPerBurst;
-      }
+  let stored = storage ? loadOptions(storage, optionsStorageKey) : { options: {}, errors: [] };
+  let linked = decodeOptions(window.location.search);
+  for (let error of stored.errors.concat(linked.errors)) { console.warn(`Ignored an option: ${error}`); }
+  // a link with options opens a configuration to look at; changing it doesn't overwrite the stored options
+  let linkedConfiguration = [...params.keys()].some((name) => name in optionSchema && name != 'seed');
+  document.body.classList.toggle('kiosk', params.has('kiosk'));
+
+  // the page runs a single full-window instance. everything else in here just connects the page's buttons to it
+  let explosions = createParticleExplosions(document.getElementById('stage'), Object.assign({}, stored.options, linked.options, {
+    worker: params.has('worker')
+  }));
+  if (storage && !linkedConfiguration) { storeOptions(explosions, storage, optionsStorageKey); }
+
+  // ?share puts the page on a shared canvas: its bursts go off on every other page connected to the same relay, and theirs go off
+  // here (see sharing.js). ?share=ws://host:port picks the relay, and a bare ?share uses the one that served the page (see
+  // server/relay.js). ?display is for the big screen: it joins the shared canvas too, but only shows the others' bursts, and hides
+  // the controls
+  let shared = null;
+  if (params.has('share') || params.has('display')) {
+    try {
+      shared = new SharedCanvas(explosions, params.get('share') || relayUrl(), { displayOnly: params.has('display') });
+      for (let name of ['open', 'close', 'peers']) { shared.on(name, updateSharedStatus); }
+    } catch (error) {
+      console.error('Could not join the shared canvas', error);
     }
+  }
+  document.body.classList.toggle('display-only', params.has('display'));
 
-    // recalculates the hue on demand. used when the particle group is moved
-    recalculateHue() {
-      this.hue = Math.round(rng.value() * 360);
-    }
+  let seedReadout = document.getElementById('seedReadout');
+  let particleCountButton = document.getElementById('particleCountButton');
+  let patternButton = document.getElementById('patternButton');
+  let showButton = document.getElementById('showButton');
+  let showLoopButton = document.getElementById('showLoopButton');
+  let showSeek = document.getElementById('showSeek');
+  let recordButton = document.getElementById('recordButton');
+  let replayButton = document.getElementById('replayButton');
+  let sessionFileInput = document.getElementById('sessionFileInput');
+  let greetingText = document.getElementById('greetingText');
+  let imageFileInput = document.getElementById('imageFileInput');
+  let settingsPanel = document.getElementById('settingsPanel');
+  let presetSelect = document.getElementById('presetSelect');
+  let presetName = document.getElementById('presetName');
+  let presetsFileInput = document.getElementById('presetsFileInput');
+  let optionInputs = document.querySelectorAll('[data-option]');   // the settings panel's sliders, named after the option they set
+  let exportPanel = document.getElementById('exportPanel');
+  let exportWidthInput = document.getElementById('exportWidth');
+  let exportProgress = document.getElementById('exportProgress');
+  let sharedStatus = document.getElementById('sharedStatus');
+
+  let showPlayer = null;          // the timeline player for the demo show, once it has been loaded
+  let showSeekInterval = null;    // keeps the seek slider in sync while the show plays
+  let recorder = new SessionRecorder(explosions);
+  let exporting = false;
+  let placement = placements[0];
+  let emitterType = getEmitterTypeNames()[0];   // what shift-clicks on the stage place
+  let emitterDrag = null;         // the emitter being shift-dragged: { pointerId, index, x, y (where the drag started), moved }
+  let obstacleDrag = null;        // the obstacle being drawn: { pointerId, index (null until the drag is long enough), x, y }
+  let imageColors = true;         // whether image bursts take the image's colors, or the palette's
+  let savedPresets = loadPresets();
+
+  updateControls();
+  updateSharedStatus();
 
-    // moves the entire particle group and resets all the particle locations to the group's origin
-    repositionGroup(x, y) {
-      this.x = x;
-      this.y = y;
-      for (let i = 0; i < this.particles.length; i++) {
-        this.particles[i].x = this.x;
-        this.particles[i].y = this.y;
-      }
-      this.rendering = true;
-    }
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                                  Listeners                                  */
+  /*                                                                             */
+  /*******************************************************************************/
 
-    // this method is called when a particle group is being reused. gathers all the main initialization logic together
-    respawn(x, y) {
-      this.recalculateHue();
-      this.repositionGroup(x, y);
-      this.queueForRender(renderer);
-      this.rendering = true;
-      for (let i = 0; i < this.particles.length; i++) {
-        this.particles[i].resetValues();
-      }
+  // options can also change without a click (a replayed session, the console), so the buttons follow the instance
+  explosions.on('input', (input) => {
+    if (input.type == 'option' || input.type == 'seed') { updateControls(); }
+  });
+  explosions.on('replayend', updateControls);
+
+  // while a force or an obstacle is picked for placing, clicks on the stage place it instead of setting off a burst. this listens on
+  // the document in the capture phase, so it runs before the instance's own listener on the stage and can keep the event from
+  // reaching it
+  document.addEventListener('pointerdown', (e) => {
+    if (!(placement.force || placement.obstacle) || e.shiftKey || explosions.replayer || exporting || !explosions.container.contains(e.target)) { return; }
+    e.stopPropagation();
+    e.preventDefault();
+    if (placement.force) {
+      explosions.addForce(Object.assign(stagePosition(e), placement.force));
+    } else {
+      obstacleDrag = { pointerId: e.pointerId, index: null, x: e.clientX, y: e.clientY };
     }
-
-    // this method runs for all of a group's particles when it is still being rendered
-    // particles have internal logic in their move() method to handle their own specifics and math
-    stepParticles(refreshThrottle) {
-      let continueRendering = false;
-
-      for (let i = 0; i < this.particles.length; i++) {
-        let particle = this.particles[i];
-        if (particle.lifetime > 0 ) {
-          if (!continueRendering) { continueRendering = true; }
-          particle.move(refreshThrottle);
-        }
-      }
-
-      if (!continueRendering) {
-        this.rendering = false;
-      }
+  }, { capture: true });
+
+  // obstacles are drawn by dragging: a line from where the drag started to the pointer, or a circle around where it started, out to
+  // the pointer. the obstacle is there (and drawn) from the first few pixels of the drag on, and follows the pointer until it's let go
+  document.addEventListener('pointermove', (e) => {
+    if (!obstacleDrag || e.pointerId != obstacleDrag.pointerId) { return; }
+    let distance = Math.hypot(e.clientX - obstacleDrag.x, e.clientY - obstacleDrag.y);
+    if (obstacleDrag.index === null && distance < 5) { return; }
+    let bounds = explosions.container.getBoundingClientRect();
+    let start = { x: (obstacleDrag.x - bounds.left) / bounds.width, y: (obstacleDrag.y - bounds.top) / bounds.height };
+    let end = stagePosition(e);
+    let clamp = (value) => Math.min(Math.max(value, 0), 1);
+    let obstacle = placement.obstacle == 'line' ?
+      { type: 'line', x1: start.x, y1: start.y, x2: clamp(end.x), y2: clamp(end.y) } :
+      { type: 'circle', x: start.x, y: start.y, radius: distance };
+    if (obstacleDrag.index === null) {
+      obstacleDrag.index = explosions.addObstacle(obstacle);
+    } else {
+      explosions.setOption('obstacles', explosions.getOption('obstacles').map((existing, i) => i == obstacleDrag.index ? obstacle : existing));
     }
+  });
 
-    queueForRender(renderer) {
-      renderer.enqueue(this);
-    }
+  for (let type of ['pointerup', 'pointercancel']) {
+    document.addEventListener(type, (e) => {
+      if (obstacleDrag && e.pointerId == obstacleDrag.pointerId) { obstacleDrag = null; }
+    });
   }
 
-  //////////////////////////
-  //    Particle Class    //
-  //////////////////////////
-  class Particle {
-    constructor(x, y) {
-      this.x = x;           // position info
-      this.y = y;
-      this.z;
-      this.prevX = this.x;  // stores the last position. utilized in particle stroke rendering
-      this.prevY = this.y;
-      this.prevZ = this.z;
-      this.xSpeed;          // speed info
-      this.ySpeed;
-      this.zSpeed;
-      this.airborne;        // once y speed reaches a negligible amount, set this boolean to false
-      this.lifetime;        // the particle's lifetime drops at every move() call, and it is skipped for processing and rendering if lifetime <= 0
-
-      this.resetValues();   // this immediately sets any values that are not initialized with values to something random
-    }
-
-    // resets and re-randomizes the particle's values. used at instantiation and when the parent particleGroup moves
-    resetValues() {
-      this.lifetime = 60 + Math.round(rng.value() * 30);  // particles will automatically be culled when their lifetime hits zero
-      this.z = Math.max((4 * _h / 5) + Math.round(rng.value() * _h / 12), this.y);  // simulates depth (see move/render methods)
-      this.xSpeed = (11 + (rng.value() * -22)) * dpr;      // speed variables
-      this.ySpeed = (16 + (rng.value() * -32)) * dpr;      // for each axis
-      this.zSpeed = (0.5 + (rng.value() * -1)) * dpr;      // note that zSpeed is set much lower, as depth changes more subtly/slowly than x/y position
-      this.airborne = true;
-      this.prevX = this.x;
-      this.prevY = this.y;
-      this.prevZ = this.z;
-    }
-
-    // move functions for the particle. the amount of movement is adjusted by the last requestAnimationFrame call's duration.
-    move(refreshThrottle) {
-      this.lifetime -= refreshThrottle;
-
-      // no further processing for particles outside the viewport or whose lifetime is 0 or less
-      if (this.x < 0 || this.x > _w || this.y > _h || this.lifetime <= 0) {
-        this.lifetime = -1;
-        return;
-      }
-      
-      // store previous position values
-      this.prevX = this.x;
-      this.prevY = this.y;
-      this.prevZ = this.z;
-
-      // if floors are not enabled, do a flat application of the x/y speeds to the particle's coords. no change to speed here.
-      if (!enableFloor) {
-        this.x += this.xSpeed * refreshThrottle;
-        this.y += this.ySpeed * refreshThrottle;
-        this.z += this.zSpeed * refreshThrottle;
-      } else {
-        
-        // 3 conditions:
-        // on the ground -> your current ySpeed is negligible and your distance to z is negligible
-        // bouncing -> your next proposed y position is greater than your z position, and your current or proposed y speeds are large.
-        // free fall -> your next proposed y position is less than your z position
-
-        let proposedY = this.y + (this.ySpeed * refreshThrottle);
-        let proposedZ = this.z + (this.zSpeed * refreshThrottle);
-        
-        let prevYSpeed = this.ySpeed;
-        
-        this.xSpeed = this.xSpeed - (this.xSpeed * airResistance * refreshThrottle);
-        this.zSpeed = this.zSpeed - (this.zSpeed * airResistance * refreshThrottle);
-        this.ySpeed = this.ySpeed - (this.ySpeed * airResistance * refreshThrottle) + (gravity * refreshThrottle);;
-        this.z += this.zSpeed * refreshThrottle;
-
-        let movementProportion = (Math.abs((this.y - this.z) / this.ySpeed) / refreshThrottle);
-        
-        if (!this.airborne) {
-          if (this.y < _h * (72/100)) { this.lifetime = -1; }   // if the particle is above the reflective floor draw area, kill it
-
-          // set coords
-          this.x += this.xSpeed * refreshThrottle;
-          this.y += this.zSpeed * refreshThrottle;
-
-        } else if (proposedY < proposedZ) {
-          // free fall
-          // set ySpeed
-
-          // set coords
-          this.x += this.xSpeed * refreshThrottle;          
-          this.y += (this.ySpeed * refreshThrottle) + (this.zSpeed * refreshThrottle);
-        } else {
-          // bounce
-          if (this.y < _h * (72/100)) { this.lifetime = -1; }   // if the particle is above the reflective floor draw area, kill it
-          // since a bounce interrupts what would be a full y axis displacement,
-          // we need to move only a proportion of the final position
-          // this value can be calculated as the amount of movement allowed divided by the full proposed movement
-          
-          // hold on to the previous ySpeed, so calculations can be done for airbornedness
-          
-          // set ySpeed
-          this.ySpeed *= -0.6;
-          
-          // set coords
-          // we also need to snap the particle's y position to its z position and to the proportion-affected x-position
-          this.x += this.xSpeed * movementProportion * refreshThrottle;
-          this.y = this.z + this.zSpeed * refreshThrottle;
-          
-          // if the resulting bounce speed is less than gravity, set the particle to no longer airborne
-          if (Math.abs(Math.abs(this.ySpeed) - Math.abs(prevYSpeed)) < gravity / 3) {
-            this.airborne = false;
-          }
-        }
-      }
+  // shift-clicks on the stage place an emitter the same way. shift-dragging an emitter moves it, and shift-clicking one without
+  // dragging removes it
+  document.addEventListener('pointerdown', (e) => {
+    if (!e.shiftKey || explosions.replayer || exporting || !explosions.container.contains(e.target)) { return; }
+    e.stopPropagation();
+    e.preventDefault();
+    let position = stagePosition(e);
+    let bounds = explosions.container.getBoundingClientRect();
+    let index = explosions.getOption('emitters').findIndex((emitter) => {
+      return Math.hypot((emitter.x - position.x) * bounds.width, (emitter.y - position.y) * bounds.height) < 20;
+    });
+    if (index < 0) {
+      explosions.addEmitter(Object.assign({ type: emitterType }, position));
+    } else {
+      emitterDrag = { pointerId: e.pointerId, index: index, x: e.clientX, y: e.clientY, moved: false };
     }
+  }, { capture: true });
+
+  document.addEventListener('pointermove', (e) => {
+    if (!emitterDrag || e.pointerId != emitterDrag.pointerId) { return; }
+    if (!emitterDrag.moved && Math.hypot(e.clientX - emitterDrag.x, e.clientY - emitterDrag.y) < 5) { return; }
+    emitterDrag.moved = true;
+    let position = stagePosition(e);
+    explosions.moveEmitter(emitterDrag.index, Math.min(Math.max(position.x, 0), 1), Math.min(Math.max(position.y, 0), 1));
+  });
+
+  for (let type of ['pointerup', 'pointercancel']) {
+    document.addEventListener(type, (e) => {
+      if (!emitterDrag || e.pointerId != emitterDrag.pointerId) { return; }
+      if (type == 'pointerup' && !emitterDrag.moved && !explosions.replayer) { explosions.removeEmitter(emitterDrag.index); }
+      emitterDrag = null;
+    });
   }
 
-  //////////////////////////
-  //    Renderer Class    //
-  //////////////////////////
-  // handles drawing functions for particle groups and particles. contains the canvas and context that will be used for drawing
-  class Renderer {
-    constructor(canvas) {
-      this.renderQueue = [];
-      this.clearTimer = 0;
-
-      // primary canvas for drawing
-      this.canvas = canvas;
-      this.ctx = this.canvas.getContext('2d', {willReadFrequently: true});
-      this.canvas.width = _w;
-      this.canvas.height = _h;
-
-      // canvas for efficient offscreen rendering
-      this.hiddenCanvas = document.createElement('CANVAS');
-      this.hiddenCanvas.id = 'hiddenCanvas';
-      this.hiddenCanvas.width = _w;
-      this.hiddenCanvas.height = _h;
-
-      this.hiddenCtx = this.hiddenCanvas.getContext('2d', {willReadFrequently: true});
-      this.hiddenCtx.lineCap = 'round';
-
-      // canvas for rendering reflections
-      this.reflectCanvas = document.createElement('CANVAS');
-      this.reflectCanvas.id = 'reflectCanvas';
-      this.reflectCanvas.style.zIndex = '-2';
-      this.reflectCanvas.width = _w;
-      this.reflectCanvas.height = _h;
-
-      this.reflectCtx = this.reflectCanvas.getContext('2d');
-      this.reflectCtx.lineCap = 'round';
-      
-      document.body.appendChild(this.reflectCanvas);
-
-      // canvas for rendering main canvas glow
-      this.glowCanvas = document.createElement('CANVAS');
-      this.glowCanvas.id = 'glowCanvas';
-      this.glowCanvas.style.filter = 'blur(2px) brightness(1.1) contrast(1.2)';
-      this.glowCanvas.style.zIndex = '-1';
-      this.glowCanvas.width = _w;
-      this.glowCanvas.height = _h;
-
-      this.glowCtx = this.glowCanvas.getContext('2d');
-
-      document.body.appendChild(this.glowCanvas);
-    }
-
-    // clears the canvas. called only if "persist strokes" is off.
-    clear() {
-      this.ctx.clearRect(0, 0, _w, _h);
-      this.hiddenCtx.clearRect(0, 0, _w, _h);
-      this.reflectCtx.clearRect(0, 0, _w, _h);
-      this.glowCtx.clearRect(0, 0, _w, _h);
-    }
-
-    // a helper method that gathers particle groups into a queue to be rendered, instead of looping over all particle groups (and particles) every time
-    enqueue(groupToRender) {
-      this.renderQueue.push(groupToRender);
-    }
-
-    // draw to offscreen canvas first; this image can be copied onto the visible canvases (regular and glow canvases)
-    renderHidden() {
-      for (let i = 0; i < this.renderQueue.length; i++) {
-        // shift the particleGroup off the render queue. this method exits when the render queue is empty
-        let pGroup = this.renderQueue[i];
-        let subgroupSize = Math.ceil(pGroup.particles.length / 3);
-        let lastSubGroup = 1;
-
-        // set initial values for the context; these are the values when (currentSubgroup == 1)
-        this.hiddenCtx.beginPath();
-        this.hiddenCtx.lineWidth = 3 * dpr;
-        this.hiddenCtx.strokeStyle = `hsl(${pGroup.hue}, 100%, 50%)`;
-
-        // loop through the queued group's particles
-        for (let j = 0; j < pGroup.particles.length; j++) {
-          // set context line width and stroke style only as needed, depending on the current subgroup
-          let currentSubgroup = Math.ceil(j / subgroupSize) + 1;
-          if (currentSubgroup != lastSubGroup) {
-            // if the subgroup has changed, close the last path before opening the next
-            this.hiddenCtx.stroke();
-            this.hiddenCtx.beginPath();
-
-            // 4 - currentSubgroup will equal either 2 or 1 (a size of 3 is already taken care of by the context draw styles outside the loop)
-            // "4 - " is used to make sure that smaller particles are tied to higher lightness
-            this.hiddenCtx.lineWidth = (4 - currentSubgroup) * dpr;
-            // hue is a group value, and lightness is between 45 + 16.6667 and 95. coinciding with size, larger particles are more deeply colored (lightness closer to 50)
-            this.hiddenCtx.strokeStyle = `hsl(${pGroup.hue}, 100%, ${40 + ((50 / 3) * currentSubgroup)}%)`;
-          }
-
-          let particle = pGroup.particles[j];
-          
-          if (particle.lifetime <= 0) { continue; }
-          
-          // this if statement is quite expensive, but it guarantees that lower z-index particles are never drawn on top of higher ones
-          if (particle.zSpeed < 0) {
-            this.hiddenCtx.globalCompositeOperation = 'destination-over';
-          } else {
-            this.hiddenCtx.globalCompositeOperation = 'source-over';
-          }
-
-          this.hiddenCtx.moveTo(particle.prevX, particle.prevY);
-          this.hiddenCtx.lineTo(particle.x, particle.y);
-
-          // only stroke here if the particle drawing subgroup changed; otherwise, this is a polyline
-          if (currentSubgroup != lastSubGroup) {
-            this.hiddenCtx.beginPath();
-            lastSubGroup = currentSubgroup;
-          }
-        }
-
-        // catches the last open path after the loop ends (because currentSubgroup is still equal to lastSubGroup at that point)
-        this.hiddenCtx.stroke();
-      }
-    }
-
-    renderReflect() {
-      for (let i = 0; i < this.renderQueue.length; i++) {
-        // shift the particleGroup off the render queue. this method exits when the render queue is empty
-        let pGroup = this.renderQueue[i];
-        let subgroupSize = Math.ceil(pGroup.particles.length / 3);
-        let lastSubGroup = 1;
-
-        // set initial values for the context; these are the values when (currentSubgroup == 1)
-        this.reflectCtx.beginPath();
-        this.reflectCtx.lineWidth = 3 * dpr;
-        this.reflectCtx.strokeStyle = `hsl(${pGroup.hue}, 70%, 60%)`;
-
-        // loop through the queued group's particles
-        for (let j = 0; j < pGroup.particles.length; j++) {
-          // set context line width and stroke style only as needed, depending on the current subgroup
-          let currentSubgroup = Math.ceil(j / subgroupSize) + 1;
-          if (currentSubgroup != lastSubGroup) {
-            this.reflectCtx.stroke();
-            this.reflectCtx.beginPath();
-
-            // 4 - currentSubgroup will equal either 2 or 1 (a size of 3 is already taken care of by the context draw styles outside the loop)
-            // "4 - " is used to make sure that smaller particles are tied to higher lightness
-            this.reflectCtx.lineWidth = (4 - currentSubgroup) * dpr;
-            // hue is a group value, and lightness is between 45 + 16.6667 and 95. coinciding with size, larger particles are more deeply colored (lightness closer to 50)
-            this.reflectCtx.strokeStyle = `hsl(${pGroup.hue}, 70%, ${40 + ((30 / 3) * currentSubgroup)}%)`;
-          }
-
-          let particle = pGroup.particles[j];
-          
-          if (particle.lifetime <= 0) { continue; }
-          
-          if (particle.zSpeed < 0) {
-            this.reflectCtx.globalCompositeOperation = 'destination-over';
-          } else {
-            this.reflectCtx.globalCompositeOperation = 'source-over';
-          }
-
-          this.reflectCtx.moveTo(particle.prevX, particle.prevY + ((particle.prevZ - (particle.prevY )) * 2) + (3 * dpr));
-          this.reflectCtx.lineTo(particle.x, particle.y + ((particle.z - (particle.y )) * 2) + (3 * dpr));
-
-          // only stroke here if the particle drawing subgroup changed; otherwise, this is a polyline
-          if (currentSubgroup != lastSubGroup) {
-            this.reflectCtx.beginPath();
-            lastSubGroup = currentSubgroup;
-          }
-        }
-
-        // catches the last open path after the loop ends (because currentSubgroup is still equal to lastSubGroup at that point)
-        this.reflectCtx.stroke();
-      }
-    }
-
-    // render the visible canvas from the hidden one
-    renderVisible() {
-      let baseImgData = this.hiddenCtx.getImageData(0, 0, this.hiddenCanvas.width, this.hiddenCanvas.height);
-      this.ctx.putImageData(baseImgData, 0, 0);
-      if (enableGlow) { this.glowCtx.putImageData(baseImgData, 0, 0); }
-    }
-
-    // draws particle groups that are currently rendering
-    render() {
-      if (!persistStrokes) { this.clear(); }
-      this.renderHidden();
-      if (enableFloor && enableReflections) { this.renderReflect(); }
-      this.renderVisible();
-
-      this.renderQueue = [];    // empty the render queue every time
-    }
+  // the sliders apply live while dragging. a new particle count starts the simulation over, so that one waits for the release
+  for (let input of optionInputs) {
+    input.addEventListener(input.dataset.option == 'particlesPerBurst' ? 'change' : 'input', () => {
+      if (!explosions.replayer && !exporting) { explosions.setOption(input.dataset.option, Number(input.value)); }
+      updateControls();
+    });
   }
 
-  /*******************************************************************************/
-  /*                                                                             */
-  /*                                   Globals                                   */
-  /*                                                                             */
-  /*******************************************************************************/
-  
-  let dpr = window.devicePixelRatio;
-  let gravity = 1.7 * dpr;              // pretty self-explanatory, but this feels like a good value
-  let airResistance = 0.002 * dpr;      // particles slow down by this factor the longer they are in the air
-  let particlesPerBurst = 50;                               // particles per burst; user-configurable at low/med/high/extreme
-  let newBurstTimer = 60;                                   // the timer that will allow new particle bursts to form automatically
-  let persistStrokes = false;     // user toggleable variable that controls whether to clearRect() the canvas every frame, resulting in either discrete particles or streaming lines
-  let enableFloor = true;         // user toggleable variable that shows or hides the reflective floor texture and toggles gravity
-  let enableGlow = true;          // user toggleable variable that shows or particle glow
-  let enableReflections = true;   // user toggleable variable that enables rendering reflections
-  let autoBursts = true;          // user toggleable variable that enables automatic bursts
-  let _w = innerWidth * dpr;    // set global vars for DPR-adjusted width/height
-  let _h = innerHeight * dpr;   // set global vars for DPR-adjusted width/height
-
-  let rng = new RNG();
-  let renderer = new Renderer(document.getElementById('canvas'));
-  let particleGroups = [new ParticleGroup(_w / 2, _h / 3, 270)];    // initialize this array with a group of particles
-  
-  /*******************************************************************************/
-  /*                                                                             */
-  /*                                  Listeners                                  */
-  /*                                                                             */
-  /*******************************************************************************/
-  // on every click, create a particle burst at that position
-  document.addEventListener('mousedown', createParticleBurst);
-  document.addEventListener('touchstart', createParticleBurst, {passive: false});
-  document.addEventListener('touchmove', (e) => {e.preventDefault()}, {passive: false});
+  presetSelect.addEventListener('change', () => {
+    let preset = selectedPreset();
+    if (preset && !explosions.replayer && !exporting) { applyPreset(explosions, preset); }
+    updateControls();
+  });
+
+  // imported presets are added to the saved ones, replacing any with the same name
+  presetsFileInput.addEventListener('change', () => {
+    let file = presetsFileInput.files[0];
+    if (!file) { return; }
+    file.text()
+      .then((text) => {
+        parsePresets(text, explosions).forEach(savePreset);
+        updateControls();
+      })
+      .catch((error) => { console.error('Could not import the presets', error); })
+      .finally(() => { presetsFileInput.value = ''; });
+  });
+
+  // a chosen image is burst right away, as its silhouette
+  imageFileInput.addEventListener('change', () => {
+    let file = imageFileInput.files[0];
+    if (!file) { return; }
+    let url = URL.createObjectURL(file);
+    let image = new Image();
+    image.src = url;
+    image.decode()
+      .then(() => { shapedBurst((size) => imageShape(image, Object.assign(size, { colors: imageColors }))); })
+      .catch((error) => { console.error('Could not burst the image', error); })
+      .finally(() => {
+        URL.revokeObjectURL(url);
+        imageFileInput.value = '';
+      });
+  });
+
+  // dragging the slider seeks the show
+  showSeek.addEventListener('input', () => {
+    if (showPlayer) { showPlayer.seek(showSeek.value * showPlayer.duration); }
+  });
+
+  // a chosen session file is replayed right away
+  sessionFileInput.addEventListener('change', () => {
+    let file = sessionFileInput.files[0];
+    if (!file) { return; }
+    file.text()
+      .then((text) => {
+        explosions.replaySession(text);
+        updateControls();
+      })
+      .catch((error) => { console.error('Could not replay the session', error); })
+      .finally(() => { sessionFileInput.value = ''; });
+  });
 
-  window.addEventListener('resize', () => { window.location.reload(); })
-
-  // get the relevant button objects
-  let particleCountButton = document.getElementById('particleCountButton');
-  let floor = document.getElementsByClassName('floor')[0];
-
-  // stop immediate propagation in clicks on buttons prevent particle bursts while clicking a button
   document.addEventListener('click', (e) => {
     if (e.target.tagName != 'BUTTON') { return; }
 
     e.stopImmediatePropagation();
 
+    // while a session replays, it owns the options. only the replay button itself (to stop it) stays usable
+    if (explosions.replayer && e.target.id != 'replayButton') { return; }
+    // an export steps the instance itself, so nothing may change until it's done
+    if (exporting) { return; }
+
     switch (e.target.id) {
       case 'particleCountButton':
-        if (particlesPerBurst == 50) {            // currently at low; set to medium
-          particlesPerBurst = 100;
-          particleCountButton.innerText = 'Particle Count: Medium';
-          particleCountButton.className = 'count-med';
-        } else if (particlesPerBurst == 100) {    // currently at medium; set to high
-          particlesPerBurst = 250;
-          particleCountButton.innerText = 'Particle Count: High';
-          particleCountButton.className = 'count-high';
-        } else if (particlesPerBurst == 250) {    // currently at high; set to extreme
-          particlesPerBurst = 1000;
-          particleCountButton.innerText = 'Particle Count: Extreme';
-          particleCountButton.className = 'count-extreme';
-        } else if (particlesPerBurst == 1000) {   // currently at extreme; set to low
-          particlesPerBurst = 50;
-          particleCountButton.innerText = 'Particle Count: Low';
-          particleCountButton.className = 'count-low';
-        }
-        newBurstTimer = 60;
-        particleGroups = [];
-        particleGroups.push(new ParticleGroup(_w / 2, _h / 3, rng.value() * 360));
+        let countIndex = particleCounts.findIndex((step) => step.count == explosions.getOption('particlesPerBurst'));
+        explosions.setOption('particlesPerBurst', particleCounts[(countIndex + 1) % particleCounts.length].count);
+      break;
+      case 'patternButton':
+        // step through every registered pattern, then 'cycle' (each burst uses the next pattern), then back to the first
+        let patterns = getPatternNames().concat('cycle');
+        explosions.setOption('pattern', patterns[(patterns.indexOf(explosions.getOption('pattern')) + 1) % patterns.length]);
+      break;
+      case 'shellsButton':
+        explosions.setOption('shells', !explosions.getOption('shells'));
+      break;
+      case 'crackleButton':
+        explosions.setOption('crackle', explosions.getOption('crackle') > 0 ? 0 : 0.3);
       break;
       case 'enableReflectionsButton':
-        if (!enableFloor) { return; }
-        enableReflections = enableReflections ? false : true;
-        enableReflectionsButton.classList.toggle('active');
+        if (!explosions.getOption('enableFloor')) { return; }
+        explosions.setOption('enableReflections', !explosions.getOption('enableReflections'));
       break;
       case 'enableFloorButton':
-        e.stopImmediatePropagation();
-        enableFloor = enableFloor ? false : true;
-        enableFloorButton.classList.toggle('active');
-        floor.style.display = enableFloor ? 'initial' : 'none';
-        if (!enableFloor) {
-          enableReflectionsButton.classList.remove('active');
-          enableReflections = false;
-        } else {
-          enableReflectionsButton.classList.add('active');
-          enableReflections = true;
-        }
+        explosions.setOption('enableFloor', !explosions.getOption('enableFloor'));
       break;
       case 'enableGlowButton':
-        e.stopImmediatePropagation();
-        enableGlow = enableGlow ? false : true;
-        enableGlowButton.classList.toggle('active');
+        explosions.setOption('enableGlow', !explosions.getOption('enableGlow'));
       break;
       case 'persistStrokesButton':
-        e.stopImmediatePropagation();
-        persistStrokes = persistStrokes ? false : true;
-        persistStrokesButton.classList.toggle('active');
-        if (!persistStrokes) {
-          clearCanvasButton.classList.remove('ready');
-        } else {
-          clearCanvasButton.classList.add('ready');
-        }
+        explosions.setOption('persistStrokes', !explosions.getOption('persistStrokes'));
+      break;
+      case 'adaptiveQualityButton':
+        explosions.setOption('adaptiveQuality', !explosions.getOption('adaptiveQuality'));
+      break;
+      case 'windButton':
+        let windIndex = winds.findIndex((wind) => wind.label == windLabel());
+        let wind = winds[(windIndex + 1) % winds.length];
+        let forces = explosions.getOption('forces').filter((force) => force.type != 'wind');
+        explosions.setOption('forces', wind.force ? forces.concat(wind.force) : forces);
+      break;
+      case 'placeForceButton':
+        placement = placements[(placements.indexOf(placement) + 1) % placements.length];
+      break;
+      case 'pointerPushButton':
+        explosions.setOption('pointerPush', !explosions.getOption('pointerPush'));
+      break;
+      case 'dragToAimButton':
+        explosions.setOption('dragToAim', !explosions.getOption('dragToAim'));
+      break;
+      case 'holdToChargeButton':
+        explosions.setOption('holdToCharge', !explosions.getOption('holdToCharge'));
+      break;
+      case 'paletteButton':
+        // a list of colors (from a link or a preset) isn't one of the names, so it's followed by the first palette
+        let palettes = getPaletteNames();
+        explosions.setOption('palette', palettes[(palettes.indexOf(explosions.getOption('palette')) + 1) % palettes.length]);
+      break;
+      case 'colorEvolutionButton':
+        let evolutions = getColorEvolutionNames();
+        explosions.setOption('colorEvolution', evolutions[(evolutions.indexOf(explosions.getOption('colorEvolution')) + 1) % evolutions.length]);
+      break;
+      case 'fadeOutButton':
+        explosions.setOption('fadeOut', !explosions.getOption('fadeOut'));
+      break;
+      case 'showStatsButton':
+        explosions.setOption('showStats', !explosions.getOption('showStats'));
+      break;
+      case 'showDebugButton':
+        explosions.setOption('showDebug', !explosions.getOption('showDebug'));
+      break;
+      case 'soundButton':
+        explosions.setOption('sound', !explosions.getOption('sound'));
+      break;
+      case 'showForcesButton':
+        explosions.setOption('showForces', !explosions.getOption('showForces'));
+      break;
+      case 'clearForcesButton':
+        explosions.setOption('forces', []);
+      break;
+      case 'emitterTypeButton':
+        let emitterTypes = getEmitterTypeNames();
+        emitterType = emitterTypes[(emitterTypes.indexOf(emitterType) + 1) % emitterTypes.length];
+      break;
+      case 'pauseEmittersButton':
+        // pauses every emitter, or sets them all going again when they're all paused already
+        let emitters = explosions.getOption('emitters');
+        let paused = !emitters.every((emitter) => emitter.paused);
+        explosions.setOption('emitters', emitters.map((emitter) => Object.assign({}, emitter, { paused: paused })));
+      break;
+      case 'clearEmittersButton':
+        explosions.setOption('emitters', []);
+      break;
+      case 'wallsButton':
+        explosions.setOption('walls', Object.keys(explosions.getOption('walls')).length > 0 ? {} : walls);
+      break;
+      case 'showObstaclesButton':
+        explosions.setOption('showObstacles', !explosions.getOption('showObstacles'));
+      break;
+      case 'clearObstaclesButton':
+        explosions.setOption('obstacles', []);
+      break;
+      case 'greetingButton':
+        if (greetingText.value.trim()) { shapedBurst((size) => textShape(greetingText.value.trim(), size)); }
+      break;
+      case 'imageShapeButton':
+        imageFileInput.click();
+      break;
+      case 'imageColorsButton':
+        imageColors = !imageColors;
       break;
       case 'autoBurstButton':
-        e.stopImmediatePropagation();
-        autoBursts = autoBursts ? false : true;
-        newBurstTimer = 0;
-        autoBurstButton.classList.toggle('active');
+        explosions.setOption('autoBursts', !explosions.getOption('autoBursts'));
+      break;
+      case 'settingsButton':
+        settingsPanel.classList.toggle('hidden');
+      break;
+      case 'savePresetButton':
+        savePreset(createPreset(explosions, presetName.value.trim() || `Preset ${savedPresets.length + 1}`));
+        presetName.value = '';
+      break;
+      case 'deletePresetButton':
+        savedPresets = savedPresets.filter((preset) => preset != selectedPreset());
+        storePresets();
+      break;
+      case 'copyLinkButton':
+        copyLink();
+      break;
+      case 'resetSettingsButton':
+        for (let name in optionSchema) {
+          let value = explosions.constructor.defaults[name];
+          if (!optionSchema[name].linkOnly && JSON.stringify(explosions.getOption(name)) != JSON.stringify(value)) { explosions.setOption(name, value); }
+        }
+      break;
+      case 'exportPresetsButton':
+        // with nothing saved yet, the current settings are exported as a preset of their own
+        download(stringifyPresets(savedPresets.length > 0 ? savedPresets : [createPreset(explosions, 'My preset')]), 'particle-explosions-presets.json');
+      break;
+      case 'importPresetsButton':
+        presetsFileInput.click();
       break;
       case 'clearCanvasButton':
-        e.stopImmediatePropagation();
-        renderer.clear();
+        explosions.clear();
+      break;
+      case 'showButton':
+        toggleShow();
+      break;
+      case 'showLoopButton':
+        showPlayer.setLoop(!showPlayer.loop);
+      break;
+      case 'recordButton':
+        if (recorder.recording) {
+          downloadSession(recorder.stop());
+        } else {
+          recorder.start();
+        }
+      break;
+      case 'exportButton':
+        exportPanel.classList.toggle('hidden');
+        // exports can't be larger than the canvas (see exportAnimation())
+        exportWidthInput.max = explosions.sim.width;
+        exportWidthInput.value = Math.min(Number(exportWidthInput.value), explosions.sim.width);
+      break;
+      case 'exportStartButton':
+        startExport();
+      break;
+      case 'replayButton':
+        if (explosions.replayer) {
+          explosions.stopReplay();
+        } else {
+          sessionFileInput.click();
+        }
       break;
     }
+    updateControls();
   })
-  
+
   /*******************************************************************************/
   /*                                                                             */
   /*                                  Functions                                  */
   /*                                                                             */
   /*******************************************************************************/
 
-  // this function tries to reuse an existing particle burst if it's not currently being rendered to save on extra object instantiations
-  // if it finds a currently-unused particle group, it changes its origin and respawns (re-randomizes) its particles
-  // if all particle bursts are already being used, it will instantiate another
-  function particleBurst(x, y) {
-    for (let i = 0; i < particleGroups.length; i++) {
-      let pGroup = particleGroups[i];
-      if (!pGroup.rendering) {
-        pGroup.respawn(x, y);
-        return;
-      } else {
-        if (i+1 >= particleGroups.length) {
-          particleGroups.push(new ParticleGroup(x, y, rng.value() * 360));
-          return;
-        } else {
-          continue;
-        }
-      }
+  // sets off a burst that forms a shape in the upper middle of the stage. makeShape gets the size the shape may take up (textShape()
+  // and imageShape() options), and a particle count that grows with it
+  function shapedBurst(makeShape) {
+    if (explosions.replayer || exporting) { return; }
+    let bounds = explosions.container.getBoundingClientRect();
+    let width = Math.min(bounds.width * 0.9, 1000);
+    let height = bounds.height * 0.4;
+    let shape = makeShape({ width: width, height: height, count: Math.round(Math.min(Math.max(width * 0.8, 300), 800)) });
+    explosions.burst(bounds.width / 2, bounds.height * 0.35, { shape: shape });
+  }
+
+  // loads the demo show on first use, then toggles between playing and pausing it
+  function toggleShow() {
+    if (!showPlayer) {
+      fetch('./shows/demo.json')
+        .then((response) => response.json())
+        .then((timeline) => {
+          showPlayer = explosions.playTimeline(timeline);
+          showPlayer.on('end', updateControls);
+          updateControls();
+        })
+        .catch((error) => { console.error('Could not load the demo show', error); });
+      return;
     }
+
+    if (showPlayer.playing) {
+      showPlayer.pause();
+    } else {
+      showPlayer.play();
+    }
+  }
+
+  // exports the animation with the export panel's settings and downloads the result
+  function startExport() {
+    let format = document.getElementById('exportFormat').value;
+    exporting = true;
+    exportProgress.innerText = '0%';
+    exportAnimation(explosions, {
+      format: format,
+      width: Number(exportWidthInput.value),
+      duration: Number(document.getElementById('exportDuration').value),
+      fps: Number(document.getElementById('exportFps').value),
+      onProgress: (fraction) => { exportProgress.innerText = `${Math.round(fraction * 100)}%`; }
+    })
+      .then((blob) => {
+        let url = URL.createObjectURL(blob);
+        let link = document.createElement('A');
+        link.href = url;
+        link.download = `particle-explosions-${explosions.getSeed()}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        exportProgress.innerText = 'Done';
+      })
+      .catch((error) => {
+        exportProgress.innerText = error.message;
+      })
+      .finally(() => { exporting = false; });
   }
 
-  // a helper function for creating particle bursts on mousedown or touchstart
-  function createParticleBurst(e) {
-    let event = e;  // placeholder for event; used for preventDefault later. this allows us to reuse this same handler for mouse and touch events
-    if (e.changedTouches) {
-      e = e.changedTouches[0];
+  // the saved presets from the browser's storage. storage can be unavailable (private windows) or hold something broken
+  function loadPresets() {
+    try {
+      let stored = window.localStorage.getItem(presetsStorageKey);
+      return stored ? parsePresets(stored, explosions) : [];
+    } catch (error) {
+      console.error('Could not load the saved presets', error);
+      return [];
     }
-    if (e.target.tagName == 'BUTTON') {
-      return;
+  }
+
+  function storePresets() {
+    try {
+      window.localStorage.setItem(presetsStorageKey, stringifyPresets(savedPresets));
+    } catch (error) {
+      console.error('Could not save the presets', error);
     }
-    if (event.changedTouches) { event.preventDefault(); }   // as promised: preventDefault on touch events
-    particleBurst(e.clientX * dpr, e.clientY * dpr);
-    newBurstTimer = 60;   // wait two seconds after the last user-initiated burst
   }
 
-  // procedurally generate particles if the user isn't interacting
-  function autoPopulate() {
-    particleBurst(100 + (rng.value() * (_w / 2)) + (_w / 4),
-                  100 + (rng.value() * (2 * _h / 3)),
-                  rng.value() * 360);
+  // adds a preset to the saved ones, replacing one with the same name
+  function savePreset(preset) {
+    savedPresets = savedPresets.filter((saved) => saved.name != preset.name).concat(preset);
+    storePresets();
   }
-  
-  /*******************************************************************************/
-  /*                                                                             */
-  /*                               Animation Loop                                */
-  /*                                                                             */
-  /*******************************************************************************/
 
-  // these variables will adjust movement speed to match the frame rate of the device (the time between rAF calls)
-  let firstFrameTime = performance.now();
-  let refreshThrottle = 1;
-  let tempRefreshThrottle = 0;
-
-  function animate(callbackTime) {
-    // target 30fps by dividing the time between rAF calls by 30 to calculate per-frame movement
-    tempRefreshThrottle = callbackTime - firstFrameTime;
-    firstFrameTime = callbackTime || 0;
-    refreshThrottle = Math.min(tempRefreshThrottle / 30, 1);
-
-    // if the user has autoburst enabled
-    if (autoBursts) {
-    // if the newBurstTimer timer has reached zero, autopopulate
-      if (newBurstTimer > 0) {
-        newBurstTimer -= refreshThrottle;
-      } else if (newBurstTimer <= 0) {
-        autoPopulate();
-        newBurstTimer = 60;  // set off a particle burst every second
-      }
+  // the preset picked in the preset dropdown, if any. values are 'builtIn:<index>' or 'saved:<index>'
+  function selectedPreset() {
+    let [list, index] = presetSelect.value.split(':');
+    return (list == 'builtIn' ? builtInPresets : savedPresets)[index] || null;
+  }
+
+  // whether applying the preset would change nothing, i.e. the instance is running with exactly that preset
+  function presetIsApplied(preset) {
+    let defaults = explosions.constructor.defaults;
+    let names = physicsOptions.concat(Object.keys(preset.options));
+    return names.every((name) => explosions.getOption(name) === (name in preset.options ? preset.options[name] : defaults[name]));
+  }
+
+  // fills the preset dropdown and selects the preset that's applied, or 'Custom' when none is
+  function updatePresetSelect() {
+    let groups = [['Built-in', 'builtIn', builtInPresets], ['Saved', 'saved', savedPresets]];
+    let applied = null;
+    presetSelect.innerHTML = '';
+    for (let [label, list, presets] of groups) {
+      if (presets.length == 0) { continue; }
+      let group = document.createElement('OPTGROUP');
+      group.label = label;
+      presets.forEach((preset, i) => {
+        let option = new Option(preset.name, `${list}:${i}`);
+        if (!applied && presetIsApplied(preset)) { applied = option; }
+        group.appendChild(option);
+      });
+      presetSelect.appendChild(group);
     }
-        
-    // loop particleGroups
-    for (let i = 0; i < particleGroups.length; i++) {
-      let pGroup = particleGroups[i];
-      // if a particle group is still rendering (it has at least one particle with a lifetime > 0), update its particles' positions and queue it for rendering
-      if (pGroup.rendering) {
-        pGroup.stepParticles(refreshThrottle);
-        pGroup.queueForRender(renderer);
-      }
+    let custom = new Option('Custom', '');
+    custom.disabled = true;
+    presetSelect.insertBefore(custom, presetSelect.firstChild);
+    (applied || custom).selected = true;
+    deletePresetButton.classList.toggle('hidden', !presetSelect.value.startsWith('saved:'));
+  }
+
+  // copies a link that opens the page with the current options (the ones that differ from the defaults)
+  function copyLink() {
+    let url = `${window.location.origin}${window.location.pathname}${encodeOptions(explosions.options, explosions.constructor.defaults)}`;
+    let fallback = () => { window.prompt('Copy this link', url); };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).catch(fallback);
+    } else {
+      fallback();
     }
+  }
+
+  // offers text as a file download
+  function download(text, filename) {
+    let url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    let link = document.createElement('A');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    // render, passing the calculated refreshThrottle. This will help set appropriate line thicknesses for particle rendering
-    if (renderer.renderQueue.length > 0) {
-      renderer.render(refreshThrottle);
+  // makes every button and slider reflect the instance's current options
+  function updateControls() {
+    let count = explosions.getOption('particlesPerBurst');
+    let countStep = particleCounts.find((step) => step.count == count);
+    particleCountButton.innerText = `Particle Count: ${countStep ? countStep.label : count}`;
+    particleCountButton.className = countStep ? countStep.className : '';
+
+    for (let input of optionInputs) {
+      let value = explosions.getOption(input.dataset.option);
+      input.value = value;
+      input.nextElementSibling.value = value;   // the <output> readout
+    }
+    updatePresetSelect();
+
+    patternButton.innerText = `Pattern: ${patternLabel(explosions.getOption('pattern'))}`;
+    patternButton.classList.toggle('active', explosions.getOption('pattern') == 'cycle');
+
+    autoBurstButton.classList.toggle('active', explosions.getOption('autoBursts'));
+    shellsButton.classList.toggle('active', explosions.getOption('shells'));
+    crackleButton.classList.toggle('active', explosions.getOption('crackle') > 0);
+    enableFloorButton.classList.toggle('active', explosions.getOption('enableFloor'));
+    enableGlowButton.classList.toggle('active', explosions.getOption('enableGlow'));
+    enableReflectionsButton.classList.toggle('active', explosions.getOption('enableReflections'));
+    persistStrokesButton.classList.toggle('active', explosions.getOption('persistStrokes'));
+    adaptiveQualityButton.classList.toggle('active', explosions.getOption('adaptiveQuality'));
+    windButton.innerText = `Wind: ${windLabel()}`;
+    windButton.classList.toggle('active', windLabel() != 'Off');
+    placeForceButton.innerText = `Clicks Place: ${placement.label}`;
+    placeForceButton.classList.toggle('active', !!(placement.force || placement.obstacle));
+    pointerPushButton.classList.toggle('active', explosions.getOption('pointerPush'));
+    dragToAimButton.classList.toggle('active', explosions.getOption('dragToAim'));
+    holdToChargeButton.classList.toggle('active', explosions.getOption('holdToCharge'));
+    showForcesButton.classList.toggle('active', explosions.getOption('showForces'));
+    clearForcesButton.classList.toggle('ready', explosions.getOption('forces').length > 0);
+    let emitters = explosions.getOption('emitters');
+    emitterTypeButton.innerText = `Shift-Click Places: ${patternLabel(emitterType)}`;
+    pauseEmittersButton.classList.toggle('active', emitters.length > 0 && emitters.every((emitter) => emitter.paused));
+    clearEmittersButton.classList.toggle('ready', emitters.length > 0);
+    wallsButton.classList.toggle('active', Object.keys(explosions.getOption('walls')).length > 0);
+    showObstaclesButton.classList.toggle('active', explosions.getOption('showObstacles'));
+    clearObstaclesButton.classList.toggle('ready', explosions.getOption('obstacles').length > 0);
+    let palette = explosions.getOption('palette');
+    paletteButton.innerText = `Palette: ${Array.isArray(palette) ? 'Custom' : patternLabel(palette)}`;
+    paletteButton.classList.toggle('active', palette != 'random');
+    colorEvolutionButton.innerText = `Colors: ${patternLabel(explosions.getOption('colorEvolution'))}`;
+    colorEvolutionButton.classList.toggle('active', explosions.getOption('colorEvolution') != 'none');
+    fadeOutButton.classList.toggle('active', explosions.getOption('fadeOut'));
+    imageColorsButton.classList.toggle('active', imageColors);
+    showStatsButton.classList.toggle('active', explosions.getOption('showStats'));
+    showDebugButton.classList.toggle('active', explosions.getOption('showDebug'));
+    soundButton.innerText = `Sound: ${explosions.getOption('sound') ? 'On' : 'Off'}`;
+    soundButton.classList.toggle('active', explosions.getOption('sound'));
+    clearCanvasButton.classList.toggle('ready', explosions.getOption('persistStrokes'));
+
+    // shows, recordings, replays and exports need the simulation on the page, so they're hidden when it runs in a worker
+    for (let button of [showButton, recordButton, replayButton, exportButton]) {
+      button.classList.toggle('hidden', !!explosions.worker);
+    }
+
+    recordButton.innerText = recorder.recording ? 'Stop & Save Recording' : 'Record';
+    recordButton.classList.toggle('active', recorder.recording);
+    replayButton.innerText = explosions.replayer ? 'Stop Replay' : 'Replay Session';
+    replayButton.classList.toggle('active', !!explosions.replayer);
+
+    updateShowControls();
+    seedReadout.innerText = `Seed: ${explosions.getSeed()}`;
+  }
+
+  // says whether the page is connected to the shared canvas, and to how many others
+  function updateSharedStatus() {
+    sharedStatus.classList.toggle('hidden', !shared);
+    if (!shared) { return; }
+    if (shared.connected) {
+      sharedStatus.innerText = `Shared canvas: ${shared.peers} other${shared.peers == 1 ? '' : 's'} connected`;
+    } else {
+      sharedStatus.innerText = 'Shared canvas: connecting...';
+    }
+    sharedStatus.classList.toggle('active', shared.connected);
+  }
+
+  // the relay at the address the page was served from
+  function relayUrl() {
+    return `${window.location.protocol == 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/`;
+  }
+
+  // reflects the show's state in the show buttons and slider
+  function updateShowControls() {
+    showLoopButton.classList.toggle('hidden', !showPlayer);
+    showSeek.classList.toggle('hidden', !showPlayer);
+    if (!showPlayer) { return; }
+
+    showButton.innerText = showPlayer.playing ? 'Pause Show' : 'Play Show';
+    showButton.classList.toggle('active', showPlayer.playing);
+    showLoopButton.classList.toggle('active', showPlayer.loop);
+    showSeek.value = showPlayer.time / showPlayer.duration;
+
+    if (showPlayer.playing && !showSeekInterval) {
+      showSeekInterval = setInterval(updateShowControls, 250);
+    } else if (!showPlayer.playing && showSeekInterval) {
+      clearInterval(showSeekInterval);
+      showSeekInterval = null;
     }
-    window.requestAnimationFrame(animate);
   }
 
-  // at last: init!
-  window.requestAnimationFrame(animate);
-});
\ No newline at end of file
+  // the wind button's label for the current wind force: one of the winds steps, 'Custom' for anything else
+  function windLabel() {
+    let force = explosions.getOption('forces').find((force) => force.type == 'wind');
+    if (!force) { return 'Off'; }
+    let wind = winds.find((wind) => wind.force && JSON.stringify(wind.force) == JSON.stringify(force));
+    return wind ? wind.label : 'Custom';
+  }
+
+  // where a pointer event is on the stage, as fractions of its size
+  function stagePosition(e) {
+    let bounds = explosions.container.getBoundingClientRect();
+    return { x: (e.clientX - bounds.left) / bounds.width, y: (e.clientY - bounds.top) / bounds.height };
+  }
+
+  // turns a pattern name into a button label, e.g. 'doubleRing' -> 'Double Ring'
+  // also used for palette, color evolution and emitter type names
+  function patternLabel(name) {
+    return name.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase());
+  }
+
+  // a minimal API for reproducing sessions from the console or another script. the full instance is exposed as well
+  window.particleExplosions = {
+    instance: explosions,
+    recorder: recorder,
+    shared: shared,
+    getSeed: () => explosions.getSeed(),
+    // the 'input' event comes before the seed changes, so the seed readout is brought up to date afterwards
+    setSeed: (seed) => {
+      let normalizedSeed = explosions.setSeed(seed);
+      updateControls();
+      return normalizedSeed;
+    }
+  };
+});
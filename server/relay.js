@@ -0,0 +1,393 @@
+// the relay of shared canvases (see src/sharing.js): passes every burst an instance sends on to all the other connected instances,
+// and serves the demo page, so phones on the same network only need the address
+//
+//   node server/relay.js [--port=8787] [--host=0.0.0.0] [--static=1] [--origins=https://example.com,http://localhost:8080]
+//
+// then open http://<this machine>:8787/?share on the phones and http://<this machine>:8787/?display on the big screen. with
+// --static=0 it only relays, for pages served from somewhere else (give those ?share=ws://<this machine>:8787). browsers say which
+// page a connection comes from, and only pages the relay served itself may connect, plus those whose origins --origins lists
+// ('*' lets any page in).
+// it needs nothing but Node: the WebSocket protocol (RFC 6455) is done by hand on top of the http module, just as much of it as
+// browsers use. there's no authentication, so it's meant for a local network
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// the value the handshake's Sec-WebSocket-Key is hashed with, fixed by RFC 6455
+const handshakeGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const opcodes = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+const maxMessageSize = 256 * 1024;   // bytes. a burst with a 5000 point shape comes to about 60KB
+const maxBurstRate = 20;             // bursts a second any one client can send; the rest are dropped
+const heartbeatInterval = 30000;     // ms. clients that haven't answered the last ping by the next one are dropped
+
+// all the relay serves: the demo page and what it loads, and nothing else of the project
+const publicFiles = ['markup.html', 'style.css', 'script.js'];
+const publicDirectories = ['src', 'shows'];
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+//////////////////////////////
+//    Relay Client Class    //
+//////////////////////////////
+// one connected WebSocket: reads frames off the socket, puts fragmented messages back together and hands every text message to
+// onMessage. closes the connection on anything that breaks the protocol
+class RelayClient {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null;           // the frames of a fragmented message so far
+    this.closed = false;
+    this.alive = true;               // answered the last heartbeat ping
+    this.allowance = maxBurstRate;   // bursts it can still send right now (a token bucket, refilled at maxBurstRate a second)
+    this.lastRefill = Date.now();
+
+    socket.setNoDelay(true);
+    socket.on('data', (data) => {
+      this.buffer = Buffer.concat([this.buffer, data]);
+      this.readFrames();
+    });
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.terminate());
+  }
+
+  // takes the bytes that came in with the handshake, if any
+  start(head) {
+    if (head.length == 0) { return; }
+    this.buffer = Buffer.from(head);
+    this.readFrames();
+  }
+
+  readFrames() {
+    while (!this.closed) {
+      let frame = parseFrame(this.buffer);
+      if (!frame) { return; }
+      if (frame.error) {
+        this.close(frame.error.code, frame.error.reason);
+        return;
+      }
+      this.buffer = this.buffer.subarray(frame.length);
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame(frame) {
+    switch (frame.opcode) {
+      case opcodes.text:
+      case opcodes.binary:
+        if (this.fragments) {
+          this.close(1002, 'expected a continuation frame');
+          return;
+        }
+        if (frame.fin) {
+          this.message(frame.opcode, frame.payload);
+        } else {
+          this.fragments = { opcode: frame.opcode, payloads: [frame.payload], size: frame.payload.length };
+        }
+      break;
+      case opcodes.continuation:
+        if (!this.fragments) {
+          this.close(1002, 'unexpected continuation frame');
+          return;
+        }
+        this.fragments.payloads.push(frame.payload);
+        this.fragments.size += frame.payload.length;
+        if (this.fragments.size > maxMessageSize) {
+          this.close(1009, 'message too big');
+          return;
+        }
+        if (frame.fin) {
+          let { opcode, payloads } = this.fragments;
+          this.fragments = null;
+          this.message(opcode, Buffer.concat(payloads));
+        }
+      break;
+      case opcodes.ping:
+        this.sendFrame(opcodes.pong, frame.payload);
+      break;
+      case opcodes.pong:
+        this.alive = true;
+      break;
+      case opcodes.close:
+        // echo the status code back, and end the connection
+        this.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000, '');
+      break;
+      default:
+        this.close(1002, 'unknown opcode');
+      break;
+    }
+  }
+
+  message(opcode, payload) {
+    // shared canvases only talk in JSON text
+    if (opcode != opcodes.text) {
+      this.close(1003, 'only text messages are accepted');
+      return;
+    }
+    this.onMessage(this, payload.toString('utf8'));
+  }
+
+  // whether the client can send another burst now, by its token bucket
+  takeBurst() {
+    let now = Date.now();
+    this.allowance = Math.min(this.allowance + ((now - this.lastRefill) * maxBurstRate / 1000), maxBurstRate);
+    this.lastRefill = now;
+    if (this.allowance < 1) { return false; }
+    this.allowance--;
+    return true;
+  }
+
+  send(text) {
+    this.sendFrame(opcodes.text, Buffer.from(text, 'utf8'));
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.closed) { return; }
+    this.socket.write(encodeFrame(opcode, payload));
+  }
+
+  // sends a close frame with the status code and ends the connection
+  close(code, reason) {
+    if (this.closed) { return; }
+    let payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.sendFrame(opcodes.close, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  // drops the connection without a word, for clients that have gone quiet or whose socket failed
+  terminate() {
+    this.socket.destroy();
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) { return; }
+    this.closed = true;
+    this.onClose(this);
+  }
+}
+
+// reads the frame at the start of buffer. returns null until all of it has arrived, { error: { code, reason } } for frames that
+// break the protocol, and { fin, opcode, payload, length } otherwise, payload unmasked and length the bytes the frame took up
+function parseFrame(buffer) {
+  if (buffer.length < 2) { return null; }
+  let fin = (buffer[0] & 0x80) != 0;
+  let opcode = buffer[0] & 0x0F;
+  let masked = (buffer[1] & 0x80) != 0;
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+  if (buffer[0] & 0x70) { return { error: { code: 1002, reason: 'no extensions were negotiated' } }; }
+  // clients have to mask every frame they send
+  if (!masked) { return { error: { code: 1002, reason: 'frames from clients must be masked' } }; }
+  if (length == 126) {
+    if (buffer.length < 4) { return null; }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length == 127) {
+    if (buffer.length < 10) { return null; }
+    // anything needing more than the lower 32 bits is too big anyway
+    if (buffer.readUInt32BE(2) != 0) { return { error: { code: 1009, reason: 'message too big' } }; }
+    length = buffer.readUInt32BE(6);
+    offset = 10;
+  }
+  if (opcode >= opcodes.close && (!fin || length > 125)) { return { error: { code: 1002, reason: 'bad control frame' } }; }
+  if (length > maxMessageSize) { return { error: { code: 1009, reason: 'message too big' } }; }
+  if (buffer.length < offset + 4 + length) { return null; }
+
+  let mask = buffer.subarray(offset, offset + 4);
+  let payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+  return { fin: fin, opcode: opcode, payload: payload, length: offset + 4 + length };
+}
+
+// a single, unfragmented and unmasked frame (servers don't mask)
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// the Sec-WebSocket-Accept answer to a handshake's Sec-WebSocket-Key
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + handshakeGuid).digest('base64');
+}
+
+// creates the relay's http server (not listening yet). opts.root is the directory the demo page is served from, or null to
+// serve nothing. opts.origins lists the origins of other pages that may connect (e.g. 'https://example.com'), or ['*'] for any
+function createRelay(opts = {}) {
+  let staticRoot = opts.root === undefined ? path.resolve(__dirname, '..') : opts.root;
+  let origins = opts.origins || [];
+  let clients = new Set();
+
+  let server = http.createServer((request, response) => {
+    if (!staticRoot) {
+      response.writeHead(426, { 'Content-Type': 'text/plain' });
+      response.end('This is a WebSocket relay for shared particle explosions canvases\n');
+      return;
+    }
+    serveFile(staticRoot, request, response);
+  });
+
+  server.on('upgrade', (request, socket, head) => {
+    let key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() != 'websocket' || !key || request.headers['sec-websocket-version'] != '13') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    if (!originAllowed(request.headers.origin, request.headers.host, origins)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      '', ''
+    ].join('\r\n'));
+
+    let client = new RelayClient(socket, handleMessage, (closed) => {
+      clients.delete(closed);
+      announcePeers();
+    });
+    clients.add(client);
+    announcePeers();
+    client.start(head);
+  });
+
+  // pings are answered with the relay's clock; bursts go to everyone else untouched. anything else is ignored
+  function handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message != 'object') { return; }
+    switch (message.type) {
+      case 'ping':
+        client.send(JSON.stringify({ type: 'pong', time: message.time, relayTime: Date.now() }));
+      break;
+      case 'burst':
+        if (!client.takeBurst()) { break; }
+        for (let other of clients) {
+          if (other != client) { other.send(text); }
+        }
+      break;
+    }
+  }
+
+  function announcePeers() {
+    let text = JSON.stringify({ type: 'peers', count: clients.size });
+    for (let client of clients) { client.send(text); }
+  }
+
+  let heartbeat = setInterval(() => {
+    for (let client of clients) {
+      if (!client.alive) {
+        client.terminate();
+        continue;
+      }
+      client.alive = false;
+      client.sendFrame(opcodes.ping, Buffer.alloc(0));
+    }
+  }, heartbeatInterval);
+  heartbeat.unref();
+  server.on('close', () => {
+    clearInterval(heartbeat);
+    for (let client of clients) { client.close(1001, 'the relay is shutting down'); }
+  });
+  server.clients = clients;
+  return server;
+}
+
+// whether a connection from a page at origin may join. pages on the relay's own host may; so may other programs, which send no
+// origin (and could claim any they liked)
+function originAllowed(origin, host, origins) {
+  if (origin === undefined || origins.includes('*') || origins.includes(origin)) { return true; }
+  try {
+    return new URL(origin).host == host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// serves one of the public files under root for GET and HEAD requests. / is the demo page
+function serveFile(root, request, response) {
+  if (request.method != 'GET' && request.method != 'HEAD') {
+    response.writeHead(405, { Allow: 'GET, HEAD' });
+    response.end();
+    return;
+  }
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, 'http://relay').pathname);
+  } catch (error) {
+    response.writeHead(400);
+    response.end();
+    return;
+  }
+  if (pathname == '/') { pathname = '/markup.html'; }
+  let file = path.join(root, pathname);
+  let parts = path.relative(root, file).split(path.sep);
+  let isPublic = parts.length == 1 ? publicFiles.includes(parts[0]) : publicDirectories.includes(parts[0]);
+  // nothing outside the public files, and nothing hidden
+  if (!isPublic || parts.some((part) => part.startsWith('.'))) {
+    response.writeHead(404);
+    response.end();
+    return;
+  }
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream', 'Cache-Control': 'no-cache' });
+    response.end(request.method == 'HEAD' ? undefined : data);
+  });
+}
+
+if (require.main === module) {
+  const args = {};
+  for (let arg of process.argv.slice(2)) {
+    let [name, value] = arg.replace(/^--/, '').split('=');
+    args[name] = value;
+  }
+  const port = Number(args.port || 8787);
+  const host = args.host || '0.0.0.0';
+  let relay = createRelay({ root: args.static == '0' ? null : undefined, origins: args.origins ? args.origins.split(',') : [] });
+  relay.listen(port, host, () => {
+    console.log(`relaying shared canvases on ws://${host}:${port}/${args.static == '0' ? '' : `, and serving the page at http://${host}:${port}/`}`);
+  });
+} else {
+  module.exports = { createRelay };
+}
@@ -0,0 +1,239 @@
+// the sound engine: booms for bursts, crackle for their sparks and soft ticks for floor bounces, all synthesized with Web Audio from
+// noise and oscillators, with no sample files (see the sound and volume options of ParticleExplosions)
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { RNG } = nodeModule ? require('./rng.js') : root.ParticleExplosions;
+
+  // sounds travel: one from the far end of the scene (a burst at the top of the viewport, a bounce at the back of the floor) arrives
+  // this many seconds after one right in front of the viewer
+  const maxDelay = 0.25;
+  // crackle comes in swarms of tiny sub-bursts, so a new crackle waits this long (seconds) after the last one. so do bounce ticks
+  const crackleSpacing = 0.06;
+  const tickSpacing = 0.03;
+
+  //////////////////////////////
+  //    Sound Engine Class    //
+  //////////////////////////////
+  // plays sounds into an AudioContext, or renders them into an OfflineAudioContext (e.g. to test them without speakers). every sound
+  // method takes where the sound comes from:
+  //   pan     -> -1 (left) to 1 (right)
+  //   depth   -> 0 (right in front) to 1 (the far end of the scene); delays the sound by up to maxDelay and softens it
+  // and at, how many seconds from now to play it (0 by default). listen() plays an instance's bursts and bounces by itself
+  class SoundEngine {
+    // opts.volume (0 to 1) and opts.muted set the master volume. opts.seed seeds the noise and the crackle's timing, so a render
+    // always comes out the same
+    constructor(context, opts = {}) {
+      this.context = context;
+      this.volume = opts.volume === undefined ? 1 : opts.volume;
+      this.muted = !!opts.muted;
+      this.rng = new RNG(opts.seed === undefined ? 1 : opts.seed);
+      this.unsubscribe = [];
+      this.nextCrackle = 0;      // the context time the next crackle can start at (see crackleSpacing)
+      this.nextTick = 0;
+
+      // everything goes through the master volume, then a compressor, so a lot of booms at once don't clip
+      this.compressor = context.createDynamicsCompressor();
+      this.compressor.connect(context.destination);
+      this.master = context.createGain();
+      this.master.gain.value = this.masterGain();
+      this.master.connect(this.compressor);
+
+      // a second of white noise, the raw material of booms and crackle
+      this.noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      let samples = this.noise.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = (this.rng.value() * 2) - 1;
+      }
+    }
+
+    masterGain() {
+      return this.muted ? 0 : this.volume;
+    }
+
+    setVolume(volume) {
+      this.volume = volume;
+      this.master.gain.setTargetAtTime(this.masterGain(), this.context.currentTime, 0.02);
+    }
+
+    setMuted(muted) {
+      this.muted = muted;
+      this.master.gain.setTargetAtTime(this.masterGain(), this.context.currentTime, 0.02);
+    }
+
+    // browsers keep an AudioContext suspended until the page has been interacted with. call this from a click or a key press
+    resume() {
+      if (this.context.state == 'suspended' && this.context.resume) { this.context.resume(); }
+    }
+
+    // a burst: a low thump from an oscillator dropping in pitch, under a rumble of low-passed noise. count (the burst's particles)
+    // makes it louder and longer, and height (0 on the floor to 1 at the top of the viewport) farther off: quieter and duller
+    boom(place, at = 0) {
+      let context = this.context;
+      let time = this.startTime(place, at);
+      let output = this.output(place);
+      let size = Math.min(Math.sqrt((place.count || 50) / 50), 3);
+      let height = place.height || 0;
+      let level = 0.4 * (0.6 + (0.4 * size)) * (1 - (0.5 * height));
+      let duration = 0.7 + (0.35 * size);
+
+      let thump = context.createOscillator();
+      let thumpGain = context.createGain();
+      thump.frequency.setValueAtTime(90 - (20 * height), time);
+      thump.frequency.exponentialRampToValueAtTime(32, time + 0.35);
+      envelope(thumpGain.gain, time, level, 0.005, duration * 0.6);
+      thump.connect(thumpGain);
+      thumpGain.connect(output);
+      thump.start(time);
+      thump.stop(time + duration);
+
+      let rumble = this.noiseSource();
+      let filter = context.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.setValueAtTime(1400 - (900 * height), time);
+      filter.frequency.exponentialRampToValueAtTime(120, time + duration);
+      let rumbleGain = context.createGain();
+      envelope(rumbleGain.gain, time, level * 0.8, 0.01, duration);
+      rumble.connect(filter);
+      filter.connect(rumbleGain);
+      rumbleGain.connect(output);
+      rumble.start(time, this.rng.value() * 0.5);
+      rumble.stop(time + duration);
+    }
+
+    // secondary sparks: a quick run of high, sharp clicks
+    crackle(place, at = 0) {
+      let context = this.context;
+      let time = this.startTime(place, at);
+      if (time < this.nextCrackle) { return; }
+      this.nextCrackle = time + crackleSpacing;
+      let output = this.output(place);
+
+      let filter = context.createBiquadFilter();
+      filter.type = 'highpass';
+      filter.frequency.value = 2500;
+      filter.connect(output);
+      let clicks = 5 + Math.floor(this.rng.value() * 6);
+      for (let i = 0; i < clicks; i++) {
+        let start = time + (this.rng.value() * 0.3);
+        let click = this.noiseSource();
+        let gain = context.createGain();
+        envelope(gain.gain, start, 0.1 + (this.rng.value() * 0.15), 0.001, 0.015);
+        click.connect(gain);
+        gain.connect(filter);
+        click.start(start, this.rng.value() * 0.9);
+        click.stop(start + 0.02);
+      }
+    }
+
+    // particles bouncing off the floor: one to three soft, short blips, a little louder for more particles (count)
+    tick(place, at = 0) {
+      let context = this.context;
+      let time = this.startTime(place, at);
+      if (time < this.nextTick) { return; }
+      this.nextTick = time + tickSpacing;
+      let output = this.output(place);
+
+      let count = place.count || 1;
+      let blips = Math.min(count, 3);
+      let level = 0.03 * Math.min(1 + Math.log(count), 3);
+      for (let i = 0; i < blips; i++) {
+        let start = time + (i * 0.012) + (this.rng.value() * 0.008);
+        let blip = context.createOscillator();
+        let gain = context.createGain();
+        blip.type = 'triangle';
+        blip.frequency.value = 1600 + (this.rng.value() * 1600);
+        envelope(gain.gain, start, level, 0.002, 0.03);
+        blip.connect(gain);
+        gain.connect(output);
+        blip.start(start);
+        blip.stop(start + 0.04);
+      }
+    }
+
+    // plays an instance's bursts (booms, or crackle for crackle sparks) and floor bounces (ticks) from where they happen, until
+    // destroy(). nothing plays while the instance is paused (an export steps it by hand then) or the engine is muted
+    listen(instance) {
+      this.unsubscribe.push(
+        instance.on('burst', (burst) => {
+          if (instance.paused || this.muted) { return; }
+          let place = this.place(instance, burst.x, burst.y);
+          if (burst.crackle) {
+            this.crackle(place);
+          } else {
+            this.boom(Object.assign(place, { count: burst.count }));
+          }
+        }),
+        instance.on('bounce', (bounce) => {
+          if (!instance.paused && !this.muted) { this.tick(Object.assign(this.place(instance, bounce.x, bounce.y), { count: bounce.count })); }
+        })
+      );
+    }
+
+    // where a point of an instance (in CSS pixels) is for the ears. above the floor, the higher up the farther away; on the floor,
+    // the nearer the horizon the farther away
+    place(instance, x, y) {
+      let { width, height } = instance.viewport;
+      let floorY = instance.getOption('enableFloor') ? height * instance.getOption('floorLevel') : height;
+      let place = { pan: clamp(((x / width) * 2) - 1, -1, 1), height: 0, depth: 0 };
+      if (y < floorY) {
+        place.height = clamp((floorY - y) / floorY, 0, 1);
+        place.depth = place.height;
+      } else {
+        place.depth = clamp((height - y) / (height - floorY), 0, 1);
+      }
+      return place;
+    }
+
+    // when a sound from the given place, played at seconds from now, starts: later the farther away it is
+    startTime(place, at) {
+      return this.context.currentTime + at + ((place.depth || 0) * maxDelay);
+    }
+
+    // the node a sound plays into, panned and softened for its place
+    output(place) {
+      let context = this.context;
+      let gain = context.createGain();
+      gain.gain.value = 1 - (0.4 * (place.depth || 0));
+      let node = gain;
+      if (context.createStereoPanner) {
+        let panner = context.createStereoPanner();
+        panner.pan.value = place.pan || 0;
+        gain.connect(panner);
+        node = panner;
+      }
+      node.connect(this.master);
+      return gain;
+    }
+
+    noiseSource() {
+      let source = this.context.createBufferSource();
+      source.buffer = this.noise;
+      return source;
+    }
+
+    // stops listening and disconnects from the context. the context itself is left to whoever created it
+    destroy() {
+      this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+      this.unsubscribe = [];
+      this.master.disconnect();
+      this.compressor.disconnect();
+    }
+  }
+
+  // a percussive envelope on an AudioParam: up to peak in attack seconds, then an exponential fall to silence over decay seconds
+  function envelope(param, time, peak, attack, decay) {
+    param.setValueAtTime(0.0001, time);
+    param.exponentialRampToValueAtTime(peak, time + attack);
+    param.exponentialRampToValueAtTime(0.0001, time + attack + decay);
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  if (nodeModule) {
+    module.exports = { SoundEngine };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { SoundEngine });
+  }
+})(globalThis);
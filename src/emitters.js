@@ -0,0 +1,85 @@
+// the emitter type registry. emitters stay where they're placed and keep feeding particles in, unlike one-shot bursts (see the
+// emitters option and ParticleEmitter in simulation.js)
+(function (root) {
+  // an emitter, as given in the emitters option, is a plain object:
+  //   { type: 'fountain', x: 0.5, y: 0.7, rate: 90, angle: 0, spread: 25, speed: 13, hue: 45, paused: false }
+  // type, x and y are required. positions are fractions of the viewport, like forces. everything else overrides the type's value:
+  //   rate    -> particles per second
+  //   angle   -> the direction particles leave in, in degrees clockwise from straight up
+  //   spread  -> how wide the cone they leave in is, in degrees (360 is every direction)
+  //   speed   -> how fast they leave, in CSS pixels per 30fps tick (give or take 15%)
+  //   hue     -> their hue, 0 to 360
+  //   paused  -> stops feeding particles in. the ones already out keep flying
+  // an emitter type has all of those values (but paused), plus minLifetime and maxLifetime (in ticks), and optionally lineScale
+  // (multiplies the rendered line widths) and drag (multiplies the air resistance, like burst patterns can)
+  const emitterValues = ['rate', 'angle', 'spread', 'speed', 'hue'];
+  let emitterTypes = {};
+  let emitterTypeNames = [];
+
+  // adds (or replaces) a named emitter type
+  function registerEmitterType(name, emitterType) {
+    for (let value of emitterValues.concat('minLifetime', 'maxLifetime')) {
+      if (!Number.isFinite(emitterType[value])) { throw new Error(`Emitter type "${name}" needs a ${value}`); }
+    }
+    if (!emitterTypes[name]) { emitterTypeNames.push(name); }
+    emitterTypes[name] = emitterType;
+    return emitterType;
+  }
+
+  function getEmitterType(name) {
+    let emitterType = emitterTypes[name];
+    if (!emitterType) { throw new Error(`Unknown emitter type: ${name}`); }
+    return emitterType;
+  }
+
+  // the registered names, in registration order
+  function getEmitterTypeNames() {
+    return emitterTypeNames.slice();
+  }
+
+  // why an emitter (as given in the emitters option) can't be used, or null if it can
+  function checkEmitter(emitter) {
+    if (!emitter || typeof emitter != 'object') { return 'must be an object'; }
+    if (!emitterTypes[emitter.type]) { return `Unknown emitter type: ${emitter.type}`; }
+    if (!(emitter.x >= 0 && emitter.x <= 1) || !(emitter.y >= 0 && emitter.y <= 1)) { return 'x and y must be between 0 and 1'; }
+    for (let key in emitter) {
+      if (key == 'type' || key == 'x' || key == 'y') { continue; }
+      if (key == 'paused') {
+        if (typeof emitter.paused != 'boolean') { return 'paused must be true or false'; }
+      } else if (!emitterValues.includes(key)) {
+        return `unknown emitter value "${key}"`;
+      } else if (!Number.isFinite(emitter[key]) || (key != 'angle' && emitter[key] < 0)) {
+        return key == 'angle' ? 'angle must be a number' : `${key} must be a number >= 0`;
+      }
+    }
+    return emitter.rate === undefined || emitter.rate <= 2000 ? null : 'rate can be at most 2000 particles per second';
+  }
+
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                            Built-in Emitter Types                           */
+  /*                                                                             */
+  /*******************************************************************************/
+
+  // a steady golden spray that arcs over and rains down on the floor
+  registerEmitterType('fountain', {
+    rate: 90, angle: 0, spread: 25, speed: 13, hue: 45, minLifetime: 35, maxLifetime: 55
+  });
+
+  // a few big, fast stars a second, each flying high before it falls
+  registerEmitterType('romanCandle', {
+    rate: 4, angle: 0, spread: 6, speed: 24, hue: 330, minLifetime: 50, maxLifetime: 70, lineScale: 2.5
+  });
+
+  // a dense fizz of tiny, short-lived sparks in every direction
+  registerEmitterType('sparkler', {
+    rate: 240, angle: 0, spread: 360, speed: 5, hue: 40, minLifetime: 4, maxLifetime: 10, lineScale: 0.5, drag: 20
+  });
+
+  let api = { registerEmitterType, getEmitterType, getEmitterTypeNames, checkEmitter };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
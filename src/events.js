@@ -0,0 +1,48 @@
+// a tiny event emitter shared by the simulation and the embeddable instances
+(function (root) {
+  ///////////////////////////////
+  //    Event Emitter Class    //
+  ///////////////////////////////
+  class EventEmitter {
+    constructor() {
+      this.listeners = {};
+    }
+
+    // registers a listener for the named event. returns a function that removes it again
+    on(name, listener) {
+      (this.listeners[name] = this.listeners[name] || []).push(listener);
+      return () => this.off(name, listener);
+    }
+
+    // removes a single listener, or every listener for the event if none is given
+    off(name, listener) {
+      if (!this.listeners[name]) { return; }
+      if (!listener) {
+        delete this.listeners[name];
+        return;
+      }
+      this.listeners[name] = this.listeners[name].filter((l) => l != listener);
+    }
+
+    emit(name, detail) {
+      let listeners = this.listeners[name];
+      if (!listeners) { return; }
+      // copy the list so listeners can remove themselves while being called
+      listeners = listeners.slice();
+      for (let i = 0; i < listeners.length; i++) {
+        listeners[i](detail);
+      }
+    }
+
+    // removes every listener for every event
+    removeAllListeners() {
+      this.listeners = {};
+    }
+  }
+
+  if (typeof module == 'object' && module.exports) {
+    module.exports = { EventEmitter };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { EventEmitter });
+  }
+})(globalThis);
@@ -0,0 +1,881 @@
+// the embeddable entry point: createParticleExplosions(container, options) builds a self-contained instance inside any element
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { RNG } = nodeModule ? require('./rng.js') : root.ParticleExplosions;
+  const { EventEmitter } = nodeModule ? require('./events.js') : root.ParticleExplosions;
+  const { Simulation } = nodeModule ? require('./simulation.js') : root.ParticleExplosions;
+  const { Renderer } = nodeModule ? require('./renderer.js') : root.ParticleExplosions;
+  const { getPattern } = nodeModule ? require('./patterns.js') : root.ParticleExplosions;
+  const { getForce } = nodeModule ? require('./forces.js') : root.ParticleExplosions;
+  const { getPalette, getColorEvolution } = nodeModule ? require('./palettes.js') : root.ParticleExplosions;
+  const { checkEmitter } = nodeModule ? require('./emitters.js') : root.ParticleExplosions;
+  const { checkObstacle, checkWalls } = nodeModule ? require('./obstacles.js') : root.ParticleExplosions;
+  const { checkShape } = nodeModule ? require('./shapes.js') : root.ParticleExplosions;
+  const { TimelinePlayer } = nodeModule ? require('./timeline.js') : root.ParticleExplosions;
+  const { SessionReplayer } = nodeModule ? require('./recorder.js') : root.ParticleExplosions;
+  const { QualityGovernor } = nodeModule ? require('./governor.js') : root.ParticleExplosions;
+  const { SoundEngine } = nodeModule ? require('./audio.js') : root.ParticleExplosions;
+  const { FrameStats, StatsOverlay, sampleFrame } = nodeModule ? require('./stats.js') : root.ParticleExplosions;
+  const { checkOptionValue } = nodeModule ? require('./storage.js') : root.ParticleExplosions;
+
+  // where this script was loaded from. worker.js is looked up next to it (see the workerUrl option)
+  const scriptUrl = root.document && root.document.currentScript ? root.document.currentScript.src : null;
+
+  // gestures (see handlePointerDown()): a drag this long (CSS pixels) aims at full strength, shorter ones than aimThreshold don't aim,
+  // and a press held this long (ms) charges a burst fully, to maxCharge times the particles
+  const fullAim = 150;
+  const aimThreshold = 10;
+  const fullCharge = 1500;
+  const maxCharge = 3;
+
+  //////////////////////////////////////
+  //    Particle Explosions Class     //
+  //////////////////////////////////////
+  // one running effect: its own simulation, renderer, canvases, listeners and animation loop.
+  // any number of these can live on the same page. events:
+  //   'burst'    -> a particle group was spawned (by the user, an auto burst, burst(), a shell detonating or crackle)
+  //   'launch'   -> a shell was launched (see the shells option and launch())
+  //   'groupend' -> all of a group's particles have died
+  //   'input'    -> burst(), launch(), push(), setOption(), setSeed(), setOverrides() or clear() was called, or a show cue fired (what
+  //                 a SessionRecorder records). cues come after they've fired, everything else before it's done
+  //   'frame'    -> a frame is about to be stepped (see stepFrame()); passes its refreshThrottle
+  //   'replayend'-> a replayed session has run out of frames
+  //   'resize'   -> the instance was matched to a new container size or DPR (see resize()); passes { width, height, dpr }
+  // with the worker option, the simulation runs in a worker, so 'burst', 'launch' and 'groupend' come without the group or shell,
+  // and 'frame' comes after the worker has stepped the frame
+  class ParticleExplosions extends EventEmitter {
+    constructor(container, options = {}) {
+      super();
+      for (let name in options) {
+        if (!(name in ParticleExplosions.defaults)) { throw new Error(`Unknown particle explosions option: ${name}`); }
+      }
+      this.container = container;
+      this.options = Object.assign({}, ParticleExplosions.defaults, options);
+      this.options.enableReflections = this.options.enableReflections && this.options.enableFloor;
+      if (this.options.pattern != 'cycle') { getPattern(this.options.pattern); }   // throws for unknown patterns
+      this.options.forces.forEach((force) => getForce(force.type));               // throws for unknown force types
+      getPalette(this.options.palette);                                           // throws for unknown palettes and bad colors
+      getColorEvolution(this.options.colorEvolution);
+      checkEmitters(this.options.emitters);
+      checkObstacles(this.options.obstacles, this.options.walls);
+      this.paused = false;
+      this.destroyed = false;
+      this.frameRequest = null;
+      this.timelinePlayer = null;   // the show being played, if any (see playTimeline())
+      this.replayer = null;         // the session being replayed, if any (see replaySession())
+      this.shared = null;           // the shared canvas this instance is connected to, if any (see SharedCanvas in sharing.js)
+      this.worker = null;           // the worker that runs the simulation and draws it, with the worker option (see startWorker())
+      this.overrides = {};          // quality the governor has taken away (see setOverrides())
+      this.settings = this.effectiveSettings();   // what the renderer and the simulation actually run with
+
+      // these variables will adjust movement speed to match the frame rate of the device (the time between rAF calls)
+      this.lastFrameTime = performance.now();
+      this.refreshThrottle = 1;
+      this.stats = new FrameStats();      // the last frames' timings and counts (see getStats())
+      this.lastStatsTime = null;          // when the last frame was stepped, for its frame time
+
+      let config = {
+        width: container.clientWidth,
+        height: container.clientHeight,
+        dpr: this.options.dpr || root.devicePixelRatio || 1,
+        gravity: this.options.gravity,
+        airResistance: this.options.airResistance,
+        enableFloor: this.options.enableFloor,
+        floorLevel: this.options.floorLevel,
+        bounce: this.options.bounce,
+        minLifetime: this.options.minLifetime,
+        maxLifetime: this.options.maxLifetime,
+        burstSpeedX: this.options.burstSpeedX,
+        burstSpeedY: this.options.burstSpeedY,
+        autoBursts: this.settings.autoBursts,
+        burstInterval: this.settings.burstInterval,
+        particlesPerBurst: this.settings.particlesPerBurst,
+        pattern: this.options.pattern,
+        shells: this.options.shells,
+        crackle: this.options.crackle,
+        forces: this.options.forces,
+        emitters: this.options.emitters,
+        walls: this.options.walls,
+        obstacles: this.options.obstacles,
+        seed: this.options.seed
+      };
+      // the viewport in CSS pixels. kept here as well as in the simulation, since with a worker there's no simulation on the page
+      this.viewport = { width: config.width, height: config.height, dpr: config.dpr };
+
+      // the container needs to be a positioning and stacking context, so the canvases and the floor stay inside it
+      container.classList.add('particle-explosions');
+      this.previousContainerStyle = container.getAttribute('style');
+      if (getComputedStyle(container).position == 'static') { container.style.position = 'relative'; }
+      container.style.isolation = 'isolate';
+
+      this.floor = container.ownerDocument.createElement('DIV');
+      this.floor.className = 'floor';
+      container.appendChild(this.floor);
+      this.updateFloor();
+
+      // says what the quality governor has turned down, whenever it has (see updateQualityIndicator())
+      this.qualityIndicator = container.ownerDocument.createElement('DIV');
+      this.qualityIndicator.className = 'quality-indicator';
+      this.qualityIndicator.style.display = 'none';
+      container.appendChild(this.qualityIndicator);
+
+      this.canvases = Renderer.createCanvases(container);
+      if (this.options.worker && ParticleExplosions.workerSupported(this.canvases.canvas) && (this.options.workerUrl || scriptUrl)) {
+        this.sim = null;
+        this.renderer = null;
+        this.startWorker(config);
+      } else {
+        this.sim = new Simulation(config);
+        this.sim.on('burst', (group) => this.emit('burst', {
+          x: group.x / this.sim.dpr, y: group.y / this.sim.dpr, hue: group.hue, count: group.count, crackle: !!group.pattern.secondary, group: group
+        }));
+        this.sim.on('launch', (shell) => this.emit('launch', { x: shell.rocket.x / this.sim.dpr, y: shell.rocket.y / this.sim.dpr, hue: shell.hue, shell: shell }));
+        this.sim.on('groupend', (group) => this.emit('groupend', { group: group }));
+        this.sim.on('bounce', (bounce) => this.emit('bounce', { count: bounce.count, x: bounce.x / this.sim.dpr, y: bounce.y / this.sim.dpr }));
+        this.renderer = new Renderer(this.sim, this.settings, this.canvases);
+        this.sim.reset(270);   // initialize the simulation with a group of particles
+      }
+
+      // bound once, so destroy() can remove exactly these listeners
+      this.gestures = new Map();   // the pointers pressed on the container, by pointerId (see handlePointerDown())
+      this.handlePointerDown = this.handlePointerDown.bind(this);
+      this.handlePointerMove = this.handlePointerMove.bind(this);
+      this.handlePointerUp = this.handlePointerUp.bind(this);
+      this.handlePointerCancel = (e) => { this.gestures.delete(e.pointerId); };
+      this.handleResize = () => { this.resize(); };
+      this.handleDprChange = () => {
+        this.resize();
+        this.watchDpr();
+      };
+      this.animate = this.animate.bind(this);
+      if (this.options.interactive) {
+        container.style.touchAction = 'none';   // touches draw gestures rather than scroll or zoom the page
+        container.addEventListener('pointerdown', this.handlePointerDown);
+        container.addEventListener('pointermove', this.handlePointerMove);
+        container.addEventListener('pointerup', this.handlePointerUp);
+        container.addEventListener('pointercancel', this.handlePointerCancel);
+      }
+
+      // follow the container's size (window resizes, orientation changes, layout changes) and the DPR (moving between monitors)
+      if (root.ResizeObserver) {
+        this.resizeObserver = new ResizeObserver(this.handleResize);
+        this.resizeObserver.observe(container);
+      } else {
+        this.resizeObserver = null;
+        root.addEventListener('resize', this.handleResize);
+      }
+      this.dprQuery = null;
+      this.watchDpr();
+
+      // a worker runs its own animation loop
+      if (!this.worker) { this.frameRequest = root.requestAnimationFrame(this.animate); }
+      this.governor = this.options.adaptiveQuality ? new QualityGovernor(this) : null;
+      this.sound = null;   // the sound engine, while the sound option is on (see updateSound())
+      this.updateSound();
+      this.statsOverlay = null;   // the stats panel, while the showStats option is on (see updateStatsOverlay())
+      this.updateStatsOverlay();
+    }
+
+    // whether the worker option can be used: the browser needs Web Workers and canvases that can be handed to them
+    static workerSupported(canvas) {
+      return !!(root.Worker && root.OffscreenCanvas && canvas.transferControlToOffscreen);
+    }
+
+    // moves the simulation and all drawing into a worker (see worker.js). the visible canvases are handed over as OffscreenCanvases,
+    // so from here on the page only posts inputs to the worker and turns the worker's messages back into events
+    startWorker(config) {
+      this.options.seed = RNG.normalizeSeed(this.options.seed);   // picked here, so getSeed() can answer without asking the worker
+      config.seed = this.options.seed;
+      let canvases = {
+        canvas: this.canvases.canvas.transferControlToOffscreen(),
+        reflectCanvas: this.canvases.reflectCanvas.transferControlToOffscreen(),
+        glowCanvas: this.canvases.glowCanvas.transferControlToOffscreen()
+      };
+      this.worker = new Worker(this.options.workerUrl || new URL('worker.js', scriptUrl));
+      this.worker.onmessage = (e) => {
+        let message = e.data;
+        switch (message.type) {
+          case 'frame':
+            this.recordStats(message.stats);
+            this.emit('frame', message.refreshThrottle);
+          break;
+          case 'groupend':
+            this.emit('groupend', {});
+          break;
+          default:
+            let detail = Object.assign({}, message);
+            delete detail.type;
+            this.emit(message.type, detail);
+          break;
+        }
+      };
+      this.worker.postMessage({
+        type: 'init', config: config, settings: this.settings, canvases: canvases, countParticles: this.options.showStats
+      }, Object.values(canvases));
+    }
+
+    // timelines, session replays and exports step the simulation directly, so they need it on the page
+    requireSimulation(feature) {
+      if (this.worker) { throw new Error(`${feature} can't be used while the simulation runs in a worker`); }
+    }
+
+    // creates a particle burst at (x, y), given in CSS pixels relative to the container
+    // opts.hue overrides the random hue, opts.pattern the pattern option (see patterns.js) and opts.palette the palette option.
+    // opts.aim ({ angle, strength }, angle in radians turning clockwise from the right and strength from 0 to 1) sends the burst off
+    // in a cone around angle, narrower and faster the stronger it is. opts.count overrides particlesPerBurst. opts.shape (made by
+    // textShape() or imageShape(), see shapes.js) has the particles spell out a word or draw a picture before gravity takes over.
+    // opts.seed (a number) makes the same burst every time, on any instance, and opts.advance (in 30fps ticks) starts it that far
+    // along. on a shared canvas, the burst is sent to the other instances too (see sharing.js)
+    burst(x, y, opts = {}) {
+      checkBurstOptions(opts);
+      if (this.shared) { opts = this.shared.share(x, y, opts); }
+      this.emit('input', { type: 'burst', x: x, y: y, opts: Object.assign({}, opts) });
+      let dpr = this.viewport.dpr;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'burst', x: x * dpr, y: y * dpr, opts: opts });
+        return null;
+      }
+      let group = this.sim.particleBurst(x * dpr, y * dpr, opts);
+      this.sim.newBurstTimer = 60;   // wait two seconds after the last user-initiated burst
+      return group;
+    }
+
+    // launches a shell from the floor toward (x, y), where it detonates. takes the same opts as burst(), plus opts.crackle
+    launch(x, y, opts = {}) {
+      checkBurstOptions(opts);
+      this.emit('input', { type: 'launch', x: x, y: y, opts: Object.assign({}, opts) });
+      let dpr = this.viewport.dpr;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'launch', x: x * dpr, y: y * dpr, opts: opts });
+        return null;
+      }
+      let shell = this.sim.launchShell(x * dpr, y * dpr, opts);
+      this.sim.newBurstTimer = 60;
+      return shell;
+    }
+
+    // moves the pointer push to (x, y), in CSS pixels relative to the container: live particles near it are shoved along with its
+    // movement since the last call. with the pointerPush option, the instance calls this itself as the pointer moves
+    push(x, y) {
+      this.emit('input', { type: 'push', x: x, y: y });
+      let dpr = this.viewport.dpr;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'push', x: x * dpr, y: y * dpr });
+      } else {
+        this.sim.push(x * dpr, y * dpr);
+      }
+    }
+
+    // adds a force (see forces.js), e.g. { type: 'attractor', x: 0.5, y: 0.4, strength: 1, radius: 120 }. shorthand for setting
+    // the forces option to a copy with the force added. returns the force's index in the option
+    addForce(force) {
+      this.setOption('forces', this.options.forces.concat(Object.assign({}, force)));
+      return this.options.forces.length - 1;
+    }
+
+    removeForce(index) {
+      this.setOption('forces', this.options.forces.filter((force, i) => i != index));
+    }
+
+    // adds an obstacle (see obstacles.js), e.g. { type: 'circle', x: 0.5, y: 0.5, radius: 60 }. like addForce(), a shorthand for
+    // setting the obstacles option. returns the obstacle's index in the option
+    addObstacle(obstacle) {
+      this.setOption('obstacles', this.options.obstacles.concat(Object.assign({}, obstacle)));
+      return this.options.obstacles.length - 1;
+    }
+
+    removeObstacle(index) {
+      this.setOption('obstacles', this.options.obstacles.filter((obstacle, i) => i != index));
+    }
+
+    // adds an emitter (see emitters.js), e.g. { type: 'fountain', x: 0.5, y: 0.8 }. like addForce(), a shorthand for setting the
+    // emitters option; the other emitter methods are too. returns the emitter's index in the option
+    addEmitter(emitter) {
+      this.setOption('emitters', this.options.emitters.concat(Object.assign({}, emitter)));
+      return this.options.emitters.length - 1;
+    }
+
+    // moves an emitter to x, y (fractions of the container). the particles it already sent out keep flying
+    moveEmitter(index, x, y) {
+      this.updateEmitter(index, { x: x, y: y });
+    }
+
+    pauseEmitter(index, paused = true) {
+      this.updateEmitter(index, { paused: paused });
+    }
+
+    removeEmitter(index) {
+      this.setOption('emitters', this.options.emitters.filter((emitter, i) => i != index));
+    }
+
+    updateEmitter(index, changes) {
+      if (!this.options.emitters[index]) { throw new Error(`There's no emitter ${index}`); }
+      this.setOption('emitters', this.options.emitters.map((emitter, i) => i == index ? Object.assign({}, emitter, changes) : emitter));
+    }
+
+    // loads a show timeline (an object or JSON string, see timeline.js) and starts playing it. returns the player, which has
+    // play(), pause(), seek(seconds) and setLoop() and emits 'cue' and 'end'. opts.loop overrides the timeline's loop flag
+    playTimeline(timeline, opts = {}) {
+      this.requireSimulation('Timelines');
+      this.stopTimeline();
+      this.timelinePlayer = new TimelinePlayer(this.sim, timeline);
+      this.timelinePlayer.on('cue', (cue) => this.emit('input', { type: 'cue', cue: Object.assign({}, cue) }));
+      if (opts.loop !== undefined) { this.timelinePlayer.setLoop(opts.loop); }
+      this.timelinePlayer.play();
+      return this.timelinePlayer;
+    }
+
+    stopTimeline() {
+      if (!this.timelinePlayer) { return; }
+      this.timelinePlayer.pause();
+      this.timelinePlayer.removeAllListeners();
+      this.timelinePlayer = null;
+    }
+
+    getOption(name) {
+      return this.options[name];
+    }
+
+    // changes a single option on the running instance. values are checked the way stored options and links are (see storage.js)
+    setOption(name, value) {
+      if (!(name in ParticleExplosions.defaults)) { throw new Error(`Unknown particle explosions option: ${name}`); }
+      if (ParticleExplosions.creationOptions.includes(name)) { throw new Error(`The ${name} option can only be set when the instance is created`); }
+      if (name == 'seed') { return this.setSeed(value); }
+      let error = checkOptionValue(name, value);
+      if (error) { throw new Error(`${name}: ${error}`); }
+      this.emit('input', { type: 'option', name: name, value: value });
+      this.options[name] = value;
+
+      switch (name) {
+        case 'enableFloor':
+          this.options.enableReflections = value;   // reflections follow the floor
+          this.updateFloor();
+        break;
+        case 'floorLevel':
+          this.updateFloor();
+        break;
+        case 'enableReflections':
+          this.options.enableReflections = value && this.options.enableFloor;
+        break;
+        case 'adaptiveQuality':
+          if (value && !this.governor) {
+            this.governor = new QualityGovernor(this);
+          } else if (!value && this.governor) {
+            this.governor.destroy();
+            this.governor = null;
+            this.setOverrides({});
+          }
+        break;
+        case 'sound':
+        case 'volume':
+          this.updateSound();
+        break;
+        case 'showStats':
+          this.updateStatsOverlay();
+        break;
+      }
+
+      // the rest is up to the simulation and the renderer, which get the option as lowered by any overrides
+      let settings = this.effectiveSettings();
+      let effectiveValue = name in settings ? settings[name] : value;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'option', name: name, value: effectiveValue });
+      } else {
+        this.sim.applyOption(name, effectiveValue);
+      }
+      this.applySettings();
+      return this.options[name];
+    }
+
+    // lowers the quality the instance runs with, without touching its options (getOption() keeps returning what was chosen).
+    // the quality governor does this on its own (see the adaptiveQuality option and governor.js); with it off, it can be done by hand.
+    // overrides can only take things away:
+    //   enableReflections: false, enableGlow: false -> turns those off
+    //   particleScale: 0.5                          -> multiplies particlesPerBurst for new bursts
+    //   burstRate: 0.5                              -> multiplies how often auto bursts go off
+    // {} restores the options. while anything is lowered, a small indicator in the container's corner says what
+    setOverrides(overrides) {
+      if (JSON.stringify(overrides) == JSON.stringify(this.overrides)) { return; }
+      this.emit('input', { type: 'overrides', overrides: Object.assign({}, overrides) });
+      this.overrides = Object.assign({}, overrides);
+      this.applySettings();
+    }
+
+    // the settings the options and the given overrides add up to. a display-only shared canvas (see sharing.js) turns auto bursts
+    // off as well. the governor compares these to skip levels that change nothing
+    effectiveSettings(overrides = this.overrides) {
+      let options = this.options;
+      let displayOnly = !!this.shared && this.shared.displayOnly;
+      return {
+        enableGlow: options.enableGlow && overrides.enableGlow !== false,
+        enableReflections: options.enableReflections && overrides.enableReflections !== false,
+        persistStrokes: options.persistStrokes,
+        trailLength: options.trailLength,
+        showForces: options.showForces,
+        showObstacles: options.showObstacles,
+        showDebug: options.showDebug,
+        palette: options.palette,
+        colorEvolution: options.colorEvolution,
+        fadeOut: options.fadeOut,
+        particlesPerBurst: Math.max(1, Math.round(options.particlesPerBurst * (overrides.particleScale || 1))),
+        autoBursts: options.autoBursts && !displayOnly,
+        burstInterval: Simulation.defaults.burstInterval / ((options.autoBursts && overrides.burstRate) || 1)
+      };
+    }
+
+    // hands the effective settings to the renderer (which reads them from this.settings) and the simulation
+    applySettings() {
+      Object.assign(this.settings, this.effectiveSettings());
+      let { particlesPerBurst, autoBursts, burstInterval } = this.settings;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'settings', settings: this.settings });
+      } else {
+        this.sim.configure({ particlesPerBurst: particlesPerBurst, autoBursts: autoBursts, burstInterval: burstInterval });
+      }
+      this.updateQualityIndicator();
+    }
+
+    // lists whatever the settings lower compared to the options, or hides the indicator when that's nothing
+    updateQualityIndicator() {
+      let settings = this.settings;
+      let chosen = this.effectiveSettings({});
+      let lowered = [];
+      if (settings.enableReflections != chosen.enableReflections) { lowered.push('reflections off'); }
+      if (settings.enableGlow != chosen.enableGlow) { lowered.push('glow off'); }
+      if (settings.particlesPerBurst != chosen.particlesPerBurst) { lowered.push(`${settings.particlesPerBurst} particles per burst`); }
+      if (settings.burstInterval != chosen.burstInterval) { lowered.push('fewer auto bursts'); }
+
+      this.qualityIndicator.style.display = lowered.length > 0 ? '' : 'none';
+      this.qualityIndicator.innerText = `Reduced quality: ${lowered.join(', ')}`;
+      this.qualityIndicator.title = 'Lowered automatically to keep the animation smooth. Turn off adaptive quality to keep your settings';
+    }
+
+    // restarts the RNG chain from a new seed and resets the scene, so that the same seed and the same burst inputs replay identically
+    setSeed(seed) {
+      this.emit('input', { type: 'seed', seed: seed });
+      if (this.worker) {
+        this.options.seed = RNG.normalizeSeed(seed);
+        this.worker.postMessage({ type: 'seed', seed: this.options.seed });
+        return this.options.seed;
+      }
+      this.sim.rng.reseed(seed);
+      this.options.seed = this.sim.rng.seed;
+      this.sim.reset(270);
+      this.renderer.clear();
+      return this.sim.rng.seed;
+    }
+
+    getSeed() {
+      return this.worker ? this.options.seed : this.sim.rng.seed;
+    }
+
+    clear() {
+      this.emit('input', { type: 'clear' });
+      if (this.worker) {
+        this.worker.postMessage({ type: 'clear' });
+      } else {
+        this.renderer.clear();
+      }
+    }
+
+    // replays a session recorded with a SessionRecorder (an object or JSON string, see recorder.js). the session's options and seed
+    // are applied first, then every recorded frame is stepped with its recorded refreshThrottle, so the replay matches the original
+    // (as long as the viewport is the recording's; it warns otherwise). user input is ignored while replaying. emits 'replayend'
+    // when done
+    replaySession(session) {
+      this.requireSimulation('Session replays');
+      let replayer = new SessionReplayer(this, session);
+      this.stopTimeline();
+      this.replayer = null;
+      this.setOverrides({});   // the session brings its own, as recorded inputs
+      for (let name in replayer.session.options) {
+        if (name in ParticleExplosions.defaults) { this.setOption(name, replayer.session.options[name]); }
+      }
+      this.setSeed(replayer.session.seed);
+      this.replayer = replayer;
+      replayer.checkViewport();
+      return replayer;
+    }
+
+    stopReplay() {
+      if (!this.replayer) { return; }
+      this.replayer = null;
+      this.emit('replayend');
+    }
+
+    // matches the simulation and canvases to the container's current size and DPR. live particles are rescaled rather than reset,
+    // and every option (and, with persistStrokes, the drawn image) is kept. called automatically; only needed by hand when
+    // ResizeObserver isn't available and the container changes size without the window resizing
+    resize() {
+      let width = this.container.clientWidth;
+      let height = this.container.clientHeight;
+      let dpr = this.options.dpr || root.devicePixelRatio || 1;
+      if (!width || !height) { return; }   // a hidden container has no size to match
+      if (width == this.viewport.width && height == this.viewport.height && dpr == this.viewport.dpr) { return; }
+      this.viewport = { width: width, height: height, dpr: dpr };
+
+      // while paused, nothing redraws the canvases, so the image is kept then as well
+      let keepImage = this.options.persistStrokes || this.options.trailLength > 0 || this.paused;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'resize', width: width, height: height, dpr: dpr, keepImage: keepImage });
+      } else {
+        this.sim.resize(width, height, dpr);
+        this.renderer.resizeCanvases(keepImage);
+      }
+      if (this.statsOverlay) { this.statsOverlay.setDpr(dpr); }
+      if (this.replayer) { this.replayer.checkViewport(); }
+      this.emit('resize', { width: width, height: height, dpr: dpr });
+    }
+
+    // shows or hides the floor element and lines it up with the simulation's floor level
+    updateFloor() {
+      this.floor.style.display = this.options.enableFloor ? '' : 'none';
+      this.floor.style.top = `${this.options.floorLevel * 100}%`;
+      this.floor.style.height = `${(1 - this.options.floorLevel) * 100}%`;
+    }
+
+    // starts the sound engine the first time the sound option is on, and mutes it while the option is off. browsers without Web Audio
+    // stay silent
+    updateSound() {
+      let AudioContext = root.AudioContext || root.webkitAudioContext;
+      if (!this.sound && this.options.sound && AudioContext) {
+        this.sound = new SoundEngine(new AudioContext(), { volume: this.options.volume });
+        this.sound.listen(this);
+      }
+      if (!this.sound) { return; }
+      this.sound.setMuted(!this.options.sound);
+      this.sound.setVolume(this.options.volume);
+      this.sound.resume();   // turning the sound on is usually a click, which lets the context start
+    }
+
+    // shows or hides the stats panel (see stats.js)
+    updateStatsOverlay() {
+      if (this.options.showStats && !this.statsOverlay) {
+        this.statsOverlay = new StatsOverlay(this.container, this.stats, this.viewport.dpr);
+        this.statsOverlay.draw();
+      } else if (!this.options.showStats && this.statsOverlay) {
+        this.statsOverlay.destroy();
+        this.statsOverlay = null;
+      }
+    }
+
+    // keeps a frame's stats (see sampleFrame() in stats.js) and shows them, with the showStats option
+    recordStats(sample) {
+      this.stats.record(sample);
+      if (this.statsOverlay) { this.statsOverlay.draw(); }
+    }
+
+    // the stats of the last frame, with the average and maximum of each timing over the last two seconds or so, e.g. for automated
+    // performance checks. null before the first frame. with the worker option, they're the worker's and come a frame late, and
+    // particles is null while the stats panel is hidden (frames only count them for the panel):
+    //   frameTime, stepTime                         -> ms since the last frame, and ms the simulation's step took
+    //   hiddenTime, reflectTime, visibleTime,       -> ms each render pass took (0 on frames with nothing to draw)
+    //   overlayTime
+    //   refreshThrottle                             -> the frame's length in 30fps ticks, as the simulation was stepped
+    //   particles, poolSize, poolCapacity           -> live particles, and the particle pool's slots in use and in all
+    //   groups, drawingGroups, shells, emitters     -> particle groups (ever created, and being drawn), shells and emitters
+    //   frames, average, max                        -> how many frames the average and max timings (by name) cover
+    getStats() {
+      let stats = this.stats.summary();
+      if (stats && stats.particles === null && !this.worker) { stats.particles = this.sim.pool.liveCount(); }
+      return stats;
+    }
+
+    // a resolution media query only fires once (when the DPR stops matching it), so it's replaced with one for the new DPR every time
+    watchDpr() {
+      if (this.dprQuery) { this.dprQuery.removeEventListener('change', this.handleDprChange); }
+      this.dprQuery = null;
+      if (this.options.dpr || !root.matchMedia) { return; }   // a fixed dpr option doesn't follow the display
+      this.dprQuery = root.matchMedia(`(resolution: ${root.devicePixelRatio}dppx)`);
+      this.dprQuery.addEventListener('change', this.handleDprChange);
+    }
+
+    pause() {
+      if (this.paused || this.destroyed) { return; }
+      this.paused = true;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'pause' });
+        return;
+      }
+      root.cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+
+    resume() {
+      if (!this.paused || this.destroyed) { return; }
+      this.paused = false;
+      if (this.worker) {
+        this.worker.postMessage({ type: 'resume' });
+        return;
+      }
+      this.lastFrameTime = performance.now();   // don't count the paused time as one huge frame
+      this.frameRequest = root.requestAnimationFrame(this.animate);
+    }
+
+    // stops the animation loop and removes every listener and element this instance added
+    destroy() {
+      if (this.destroyed) { return; }
+      this.destroyed = true;
+      root.cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+
+      this.container.removeEventListener('pointerdown', this.handlePointerDown);
+      this.container.removeEventListener('pointermove', this.handlePointerMove);
+      this.container.removeEventListener('pointerup', this.handlePointerUp);
+      this.container.removeEventListener('pointercancel', this.handlePointerCancel);
+      this.gestures.clear();
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+      } else {
+        root.removeEventListener('resize', this.handleResize);
+      }
+      if (this.dprQuery) { this.dprQuery.removeEventListener('change', this.handleDprChange); }
+
+      if (this.statsOverlay) {
+        this.statsOverlay.destroy();
+        this.statsOverlay = null;
+      }
+      for (let element of [this.canvases.canvas, this.canvases.reflectCanvas, this.canvases.glowCanvas, this.floor, this.qualityIndicator]) {
+        element.remove();
+      }
+      this.container.classList.remove('particle-explosions');
+      if (this.previousContainerStyle === null) {
+        this.container.removeAttribute('style');
+      } else {
+        this.container.setAttribute('style', this.previousContainerStyle);
+      }
+
+      this.stopTimeline();
+      if (this.shared) { this.shared.close(); }
+      if (this.governor) {
+        this.governor.destroy();
+        this.governor = null;
+      }
+      if (this.sound) {
+        this.sound.destroy();
+        this.sound.context.close();
+        this.sound = null;
+      }
+      if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+      } else {
+        this.sim.removeAllListeners();
+      }
+      this.removeAllListeners();
+      this.sim = null;
+      this.renderer = null;
+      this.canvases = null;
+    }
+
+    // the position of a pointer event in CSS pixels relative to the container
+    pointerPosition(e) {
+      let bounds = this.container.getBoundingClientRect();
+      return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+    }
+
+    // every pointer pressed on the container (a mouse button, each finger, a pen) sets off its own burst, or shell with the shells
+    // option. with neither dragToAim nor holdToCharge that happens right away; otherwise the press starts a gesture, and the burst
+    // goes off where it started once the pointer is released (see handlePointerUp()). a display-only shared canvas takes no presses
+    handlePointerDown(e) {
+      let displayOnly = !!this.shared && this.shared.displayOnly;
+      if (e.target.tagName == 'BUTTON' || this.replayer || displayOnly || (e.pointerType == 'mouse' && e.button != 0)) {
+        return;
+      }
+      e.preventDefault();
+      if (this.sound) { this.sound.resume(); }   // the first press is what lets a stored sound option be heard
+      let position = this.pointerPosition(e);
+      if (!this.options.dragToAim && !this.options.holdToCharge) {
+        this.fireGesture(position, {});
+        return;
+      }
+      // keeps the pointer's events coming to the container if it's dragged out of it
+      if (this.container.setPointerCapture) { this.container.setPointerCapture(e.pointerId); }
+      this.gestures.set(e.pointerId, { x: position.x, y: position.y, time: performance.now() });
+    }
+
+    // ends a gesture. with dragToAim, the drag from the press to here aims the burst: it flies the way the pointer was dragged,
+    // at full strength from fullAim pixels on. with holdToCharge, the time the pointer was held raises the particle count
+    handlePointerUp(e) {
+      let gesture = this.gestures.get(e.pointerId);
+      if (!gesture) { return; }
+      this.gestures.delete(e.pointerId);
+      if (this.replayer) { return; }
+
+      let opts = {};
+      let position = this.pointerPosition(e);
+      let dx = position.x - gesture.x;
+      let dy = position.y - gesture.y;
+      let distance = Math.sqrt((dx * dx) + (dy * dy));
+      if (this.options.dragToAim && distance >= aimThreshold) {
+        opts.aim = { angle: Math.atan2(dy, dx), strength: Math.min(distance / fullAim, 1) };
+      }
+      if (this.options.holdToCharge) {
+        let charge = Math.min((performance.now() - gesture.time) / fullCharge, 1);
+        opts.count = Math.round(this.settings.particlesPerBurst * (1 + ((maxCharge - 1) * charge)));
+      }
+      this.fireGesture(gesture, opts);
+    }
+
+    fireGesture(position, opts) {
+      if (this.options.shells) {
+        this.launch(position.x, position.y, opts);
+      } else {
+        this.burst(position.x, position.y, opts);
+      }
+    }
+
+    // pushes live particles around as the mouse, a finger or a pen moves over the container, with the pointerPush option
+    handlePointerMove(e) {
+      if (!this.options.pointerPush || this.replayer) { return; }
+      let position = this.pointerPosition(e);
+      this.push(position.x, position.y);
+    }
+
+    // steps and renders a single frame with the given refreshThrottle (in 30fps ticks). the animation loop calls this with the
+    // measured frame time; exports call it directly with a fixed timestep while the loop is paused
+    stepFrame(refreshThrottle) {
+      this.requireSimulation('Stepping frames by hand');
+      this.refreshThrottle = refreshThrottle;
+      this.emit('frame', refreshThrottle);
+
+      // fire any show cues that are due before stepping, so their bursts move in this frame
+      if (this.timelinePlayer) { this.timelinePlayer.step(refreshThrottle); }
+
+      // step the simulation (this also handles auto bursts). every particle group that was still rendering gets queued for drawing
+      let start = performance.now();
+      let steppedGroups = this.sim.step(refreshThrottle);
+      for (let i = 0; i < steppedGroups.length; i++) {
+        this.renderer.enqueue(steppedGroups[i]);
+      }
+      let stepTime = performance.now() - start;
+
+      // render, passing the calculated refreshThrottle. This will help set appropriate line thicknesses for particle rendering
+      // (and fade trails at the same pace whatever the frame rate)
+      let rendered = this.renderer.renderQueue.length > 0 || this.renderer.isFading();
+      if (rendered) {
+        this.renderer.render(refreshThrottle);
+      }
+
+      let frameTime = this.lastStatsTime === null ? 0 : start - this.lastStatsTime;
+      this.lastStatsTime = start;
+      this.recordStats(sampleFrame(this.sim, this.renderer, refreshThrottle, { frameTime: frameTime, stepTime: stepTime }, rendered,
+        !!this.statsOverlay));
+    }
+
+    animate(callbackTime) {
+      // target 30fps by dividing the time between rAF calls by 30 to calculate per-frame movement
+      let elapsed = callbackTime - this.lastFrameTime;
+      this.lastFrameTime = callbackTime || 0;
+      this.refreshThrottle = Math.min(elapsed / 30, 1);
+
+      // a replayed session dictates the frame time (and applies its recorded inputs) instead
+      if (this.replayer) {
+        if (this.replayer.finished) {
+          this.stopReplay();
+        } else {
+          this.refreshThrottle = this.replayer.nextFrame();
+        }
+      }
+      this.stepFrame(this.refreshThrottle);
+
+      // a listener may have paused or destroyed the instance while this frame was running
+      if (!this.paused && !this.destroyed) {
+        this.frameRequest = root.requestAnimationFrame(this.animate);
+      }
+    }
+  }
+
+  ParticleExplosions.defaults = {
+    particlesPerBurst: 50,          // particles per burst
+    pattern: 'random',              // the burst pattern name (see patterns.js), or 'cycle' to step through all registered patterns
+    autoBursts: true,               // set off bursts automatically while the user isn't interacting
+    shells: false,                  // clicks and auto bursts launch a shell from the floor that detonates at the target point
+    crackle: 0,                     // the chance (0 to 1) that a dying particle sets off a small crackle sub-burst
+    enableFloor: true,              // shows or hides the reflective floor texture and toggles gravity
+    floorLevel: Simulation.defaults.floorLevel,     // where the floor starts, as a fraction of the container's height
+    enableGlow: true,               // shows or hides particle glow
+    enableReflections: true,        // renders reflections on the floor (only while the floor is enabled)
+    persistStrokes: false,          // when on, the canvases are never cleared, resulting in streaming lines instead of discrete particles
+    trailLength: 0,                 // how long (in 30fps ticks) drawn strokes take to fade out. 0 clears every frame; persistStrokes wins
+    adaptiveQuality: true,          // lower reflections, glow, particle count and auto bursts (in that order) while frames run slow
+    gravity: Simulation.defaults.gravity,
+    airResistance: Simulation.defaults.airResistance,
+    bounce: Simulation.defaults.bounce,             // the share of its speed a particle keeps when it bounces off the floor
+    minLifetime: Simulation.defaults.minLifetime,   // particle lifetimes in 30fps ticks, for random bursts
+    maxLifetime: Simulation.defaults.maxLifetime,
+    burstSpeedX: Simulation.defaults.burstSpeedX,   // the fastest a random burst starts particles, in CSS pixels per tick
+    burstSpeedY: Simulation.defaults.burstSpeedY,
+    forces: [],                     // wind, attractors, repulsors and vortices (see forces.js). set a new array to change them
+    emitters: [],                   // fountains, roman candles and sparklers that keep feeding particles in (see emitters.js)
+    walls: {},                      // the side walls and ceiling particles bounce off, e.g. { left: 0.8, right: 0.8, ceiling: 0.5 }
+    obstacles: [],                  // lines and circles particles bounce off (see obstacles.js). set a new array to change them
+    showObstacles: true,            // outlines the obstacles and walls
+    pointerPush: false,             // moving the mouse or a finger over the container pushes live particles along
+    dragToAim: true,                // dragging before letting go aims the burst the way of the drag (bursts go off on release)
+    holdToCharge: false,            // the longer the pointer is held down, the more particles the burst has (up to 3 times as many)
+    showForces: false,              // draws the forces' fields over the particles
+    palette: 'random',              // a palette name (see palettes.js) or a list of colors such as ['#ff2266', '#ffd700']
+    colorEvolution: 'none',         // how particles change color as they age: 'none', 'cooling' (white-hot, hue, ember red) or 'flash'
+    fadeOut: false,                 // particles fade out as their lifetime runs out
+    sound: false,                   // plays synthesized booms, crackle and bounce ticks (Web Audio; see audio.js)
+    volume: 0.8,                    // the sound's master volume, 0 to 1
+    showStats: false,               // a panel with frame times, render pass times and particle counts (see getStats())
+    showDebug: false,               // draws particle velocities, the floor's band of depths and group origins over the particles
+    seed: undefined,                // undefined picks a random seed
+    dpr: undefined,                 // undefined uses window.devicePixelRatio
+    interactive: true,              // set off bursts when a pointer (mouse, finger or pen) is pressed inside the container
+    worker: false,                  // run the simulation and drawing in a Web Worker (falls back to the page without OffscreenCanvas)
+    workerUrl: undefined            // where to load worker.js from. undefined looks next to explosions.js
+  };
+
+  // options that can't change on a running instance
+  ParticleExplosions.creationOptions = ['dpr', 'interactive', 'worker', 'workerUrl'];
+
+  // throws for emitters that couldn't be used (see checkEmitter() in emitters.js)
+  function checkEmitters(emitters) {
+    if (!Array.isArray(emitters)) { throw new Error('The emitters option must be an array'); }
+    emitters.forEach((emitter, i) => {
+      let error = checkEmitter(emitter);
+      if (error) { throw new Error(`Emitter ${i}: ${error}`); }
+    });
+  }
+
+  // throws for obstacles and walls that couldn't be used (see obstacles.js)
+  function checkObstacles(obstacles, walls) {
+    if (!Array.isArray(obstacles)) { throw new Error('The obstacles option must be an array'); }
+    obstacles.forEach((obstacle, i) => {
+      let error = checkObstacle(obstacle);
+      if (error) { throw new Error(`Obstacle ${i}: ${error}`); }
+    });
+    let error = checkWalls(walls);
+    if (error) { throw new Error(`Walls: ${error}`); }
+  }
+
+  // throws for burst options that couldn't be used, before they're recorded or handed to a worker
+  function checkBurstOptions(opts) {
+    if (opts.palette !== undefined) { getPalette(opts.palette); }
+    if (opts.aim !== undefined && !(opts.aim && Number.isFinite(opts.aim.angle) && opts.aim.strength >= 0 && opts.aim.strength <= 1)) {
+      throw new Error('A burst\'s aim needs an angle (in radians) and a strength between 0 and 1');
+    }
+    if (opts.shape !== undefined) {
+      let error = checkShape(opts.shape);
+      if (error) { throw new Error(`A burst's shape: ${error}`); }
+    }
+    if (opts.seed !== undefined && !Number.isFinite(opts.seed)) { throw new Error('A burst\'s seed must be a number'); }
+    if (opts.advance !== undefined && !(opts.advance >= 0 && opts.advance < Infinity)) {
+      throw new Error('A burst\'s advance must be a number of ticks >= 0');
+    }
+  }
+
+  // the public factory
+  function createParticleExplosions(container, options) {
+    return new ParticleExplosions(container, options);
+  }
+
+  if (nodeModule) {
+    module.exports = { ParticleExplosions, createParticleExplosions };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { createParticleExplosions });
+  }
+})(globalThis);
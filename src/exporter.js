@@ -0,0 +1,354 @@
+// exports an instance's animation as a zip of PNG frames or an animated GIF, stepping the simulation at a fixed timestep
+(function (root) {
+  // the floor's CSS gradients (see .floor and .floor::after in style.css), redrawn on the export canvas since CSS isn't captured
+  const floorStops = [
+    [0, 'rgb(6, 6, 6)'], [0.1, 'rgb(21, 21, 21)'], [0.2, 'rgb(13, 13, 13)'], [0.22, 'rgb(30, 30, 30)'],
+    [0.23, 'rgb(38, 38, 38)'], [0.24, 'rgb(26, 26, 26)'], [0.26, 'rgb(10, 10, 10)'], [0.33, 'rgb(21, 21, 21)'],
+    [0.5, 'rgb(13, 13, 13)'], [0.62, 'rgb(30, 30, 30)'], [0.63, 'rgb(50, 50, 50)'], [0.8, 'rgb(16, 16, 16)'], [1, 'rgb(2, 2, 2)']
+  ];
+
+  // the standard CRC-32 lookup table, used by the zip writer
+  const crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  ////////////////////////////
+  //    Zip Writer Class    //
+  ////////////////////////////
+  // writes an uncompressed ("stored") zip archive. PNGs are already compressed, so deflating them again wouldn't gain much
+  class ZipWriter {
+    constructor() {
+      this.chunks = [];
+      this.entries = [];
+      this.offset = 0;
+    }
+
+    addFile(name, bytes) {
+      let nameBytes = new TextEncoder().encode(name);
+      let crc = crc32(bytes);
+
+      let header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034B50, true);     // local file header signature
+      header.setUint16(4, 20, true);             // version needed to extract
+      header.setUint16(8, 0, true);              // compression method: stored
+      header.setUint16(12, 0x21, true);          // modification date: 1980-01-01
+      header.setUint32(14, crc, true);
+      header.setUint32(18, bytes.length, true);  // compressed size
+      header.setUint32(22, bytes.length, true);  // uncompressed size
+      header.setUint16(26, nameBytes.length, true);
+
+      this.entries.push({ nameBytes: nameBytes, crc: crc, size: bytes.length, offset: this.offset });
+      this.chunks.push(new Uint8Array(header.buffer), nameBytes, bytes);
+      this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    // returns the finished archive as a Blob
+    finish() {
+      let directoryStart = this.offset;
+      for (let entry of this.entries) {
+        let record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014B50, true);   // central directory signature
+        record.setUint16(4, 20, true);           // version made by
+        record.setUint16(6, 20, true);           // version needed to extract
+        record.setUint16(14, 0x21, true);        // modification date
+        record.setUint32(16, entry.crc, true);
+        record.setUint32(20, entry.size, true);
+        record.setUint32(24, entry.size, true);
+        record.setUint16(28, entry.nameBytes.length, true);
+        record.setUint32(42, entry.offset, true);
+        this.chunks.push(new Uint8Array(record.buffer), entry.nameBytes);
+        this.offset += 46 + entry.nameBytes.length;
+      }
+
+      let end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054B50, true);        // end of central directory signature
+      end.setUint16(8, this.entries.length, true);
+      end.setUint16(10, this.entries.length, true);
+      end.setUint32(12, this.offset - directoryStart, true);
+      end.setUint32(16, directoryStart, true);
+      this.chunks.push(new Uint8Array(end.buffer));
+
+      return new Blob(this.chunks, { type: 'application/zip' });
+    }
+  }
+
+  /////////////////////////////
+  //    GIF Encoder Class    //
+  /////////////////////////////
+  // encodes RGBA frames into a looping GIF89a. every frame gets its own 256 color palette, built from the frame's most common colors
+  class GifEncoder {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.bytes = [];
+      this.writeString('GIF89a');
+      this.writeShort(width);
+      this.writeShort(height);
+      this.bytes.push(0x00, 0x00, 0x00);         // no global color table, background color 0, no aspect ratio
+      // the NETSCAPE2.0 application extension makes the animation loop forever
+      this.bytes.push(0x21, 0xFF, 0x0B);
+      this.writeString('NETSCAPE2.0');
+      this.bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+    }
+
+    writeString(string) {
+      for (let i = 0; i < string.length; i++) { this.bytes.push(string.charCodeAt(i)); }
+    }
+
+    writeShort(value) {
+      this.bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    // adds a frame from RGBA pixel data (e.g. ImageData.data). delay is in hundredths of a second
+    addFrame(rgba, delay) {
+      let { palette, indices } = GifEncoder.quantize(rgba);
+
+      // graphic control extension: no transparency, leave the frame in place
+      this.bytes.push(0x21, 0xF9, 0x04, 0x04);
+      this.writeShort(delay);
+      this.bytes.push(0x00, 0x00);
+
+      // image descriptor with a 256 color local color table
+      this.bytes.push(0x2C);
+      this.writeShort(0);
+      this.writeShort(0);
+      this.writeShort(this.width);
+      this.writeShort(this.height);
+      this.bytes.push(0x87);
+      for (let i = 0; i < palette.length; i++) { this.bytes.push(palette[i]); }
+
+      this.bytes.push(8);                        // LZW minimum code size
+      let data = GifEncoder.lzw(indices, 8);
+      for (let i = 0; i < data.length; i += 255) {
+        let block = data.subarray(i, i + 255);
+        this.bytes.push(block.length);
+        for (let j = 0; j < block.length; j++) { this.bytes.push(block[j]); }
+      }
+      this.bytes.push(0x00);
+    }
+
+    finish() {
+      this.bytes.push(0x3B);
+      return new Blob([new Uint8Array(this.bytes)], { type: 'image/gif' });
+    }
+
+    // reduces RGBA pixels to 256 colors. colors are binned at 5 bits per channel, the most common bins become the palette
+    // (black is always entry 0), and every bin is mapped to its nearest palette entry once
+    static quantize(rgba) {
+      let pixelCount = rgba.length / 4;
+      let bins = new Uint32Array(pixelCount);
+      let counts = new Uint32Array(32768);
+      for (let i = 0; i < pixelCount; i++) {
+        let bin = ((rgba[i * 4] >> 3) << 10) | ((rgba[(i * 4) + 1] >> 3) << 5) | (rgba[(i * 4) + 2] >> 3);
+        bins[i] = bin;
+        counts[bin]++;
+      }
+
+      let used = [];
+      for (let bin = 1; bin < 32768; bin++) {
+        if (counts[bin] > 0) { used.push(bin); }
+      }
+      used.sort((a, b) => counts[b] - counts[a]);
+      let paletteBins = [0].concat(used.slice(0, 255));
+
+      let palette = new Uint8Array(768);
+      let binColor = (bin) => [((bin >> 10) & 31) << 3 | 4, ((bin >> 5) & 31) << 3 | 4, (bin & 31) << 3 | 4];
+      paletteBins.forEach((bin, i) => {
+        palette.set(bin == 0 ? [0, 0, 0] : binColor(bin), i * 3);
+      });
+
+      let binToIndex = new Int16Array(32768).fill(-1);
+      binToIndex[0] = 0;
+      let indices = new Uint8Array(pixelCount);
+      for (let i = 0; i < pixelCount; i++) {
+        let bin = bins[i];
+        if (binToIndex[bin] < 0) {
+          let [r, g, b] = binColor(bin);
+          let best = 0;
+          let bestDistance = Infinity;
+          for (let p = 0; p < paletteBins.length; p++) {
+            let dr = palette[p * 3] - r;
+            let dg = palette[(p * 3) + 1] - g;
+            let db = palette[(p * 3) + 2] - b;
+            let distance = (dr * dr) + (dg * dg) + (db * db);
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              best = p;
+            }
+          }
+          binToIndex[bin] = best;
+        }
+        indices[i] = binToIndex[bin];
+      }
+      return { palette, indices };
+    }
+
+    // GIF flavored LZW: variable code sizes up to 12 bits, packed least significant bit first
+    static lzw(indices, minCodeSize) {
+      let clearCode = 1 << minCodeSize;
+      let endCode = clearCode + 1;
+      let nextCode = endCode + 1;
+      let codeSize = minCodeSize + 1;
+      let table = new Map();
+
+      let output = [];
+      let bitBuffer = 0;
+      let bitCount = 0;
+      let emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+          output.push(bitBuffer & 0xFF);
+          bitBuffer >>>= 8;
+          bitCount -= 8;
+        }
+      };
+
+      emit(clearCode);
+      let prefix = indices[0];
+      for (let i = 1; i < indices.length; i++) {
+        let key = (prefix << 8) | indices[i];
+        let code = table.get(key);
+        if (code !== undefined) {
+          prefix = code;
+          continue;
+        }
+        emit(prefix);
+        if (nextCode == 4096) {
+          emit(clearCode);
+          table.clear();
+          nextCode = endCode + 1;
+          codeSize = minCodeSize + 1;
+        } else {
+          if (nextCode >= (1 << codeSize)) { codeSize++; }
+          table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+      }
+      emit(prefix);
+      emit(endCode);
+      if (bitCount > 0) { output.push(bitBuffer & 0xFF); }
+      return new Uint8Array(output);
+    }
+  }
+
+  // draws what the instance currently shows (floor, reflections, glow and the main canvas) onto a 2d context of the given size
+  function compositeFrame(instance, ctx, width, height) {
+    instance.requireSimulation('Exports');
+    let { sim, renderer, settings } = instance;
+    let scale = width / (sim.width / sim.dpr);    // output pixels per CSS pixel, for the glow blur radius
+
+    ctx.save();
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, width, height);
+
+    if (sim.enableFloor) {
+      let top = height * sim.config.floorLevel;
+      let gradient = ctx.createLinearGradient(0, top, width, height);
+      floorStops.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, top, width, height - top);
+
+      let shade = ctx.createLinearGradient(0, top, 0, height);
+      shade.addColorStop(0, 'rgba(0, 0, 0, 0.7)');
+      shade.addColorStop(1, 'rgba(0, 0, 0, 0.1)');
+      ctx.fillStyle = shade;
+      ctx.fillRect(0, top, width, height - top);
+    }
+
+    if (sim.enableFloor && settings.enableReflections) {
+      ctx.drawImage(renderer.reflectCanvas, 0, 0, width, height);
+    }
+    if (settings.enableGlow) {
+      ctx.filter = `blur(${2 * scale}px) brightness(1.1) contrast(1.2)`;
+      ctx.drawImage(renderer.glowCanvas, 0, 0, width, height);
+      ctx.filter = 'none';
+    }
+    ctx.drawImage(renderer.canvas, 0, 0, width, height);
+    ctx.restore();
+  }
+
+  // exports the instance's animation from its current state. the live animation is paused while exporting and resumed after
+  // options:
+  //   format   -> 'gif' or 'zip' (a zip of PNG frames)
+  //   width    -> output width in pixels; defaults to the canvas size. height defaults to keeping the aspect ratio. neither can be
+  //   height      larger than the canvas: frames are copies of the canvases, so they'd only be stretched
+  //   duration -> in seconds
+  //   fps      -> frames per second of the output. the simulation is stepped at exactly 30 / fps ticks per frame, so the result
+  //               doesn't depend on how fast the machine is
+  //   onProgress(fraction)
+  // resolves with a Blob
+  async function exportAnimation(instance, options = {}) {
+    instance.requireSimulation('Exports');
+    let format = options.format || 'gif';
+    if (format != 'gif' && format != 'zip') { throw new Error(`Unknown export format: ${format}`); }
+    let duration = options.duration || 3;
+    let fps = options.fps || (format == 'gif' ? 20 : 30);
+    if (!(duration > 0) || !(fps > 0 && fps <= 60)) { throw new Error('Exports need a duration > 0 and an fps between 1 and 60'); }
+
+    let sim = instance.sim;
+    let width = Math.round(options.width || sim.width);
+    let height = Math.round(options.height || (width * sim.height / sim.width));
+    if (!(width > 0 && height > 0)) { throw new Error('Exports need a width and height > 0'); }
+    if (width > sim.width || height > sim.height) {
+      throw new Error(`Exports can't be larger than the canvas (${sim.width}x${sim.height} pixels), since they'd only be stretched`);
+    }
+
+    let canvas = document.createElement('CANVAS');
+    canvas.width = width;
+    canvas.height = height;
+    let ctx = canvas.getContext('2d', {willReadFrequently: format == 'gif'});
+
+    let frameCount = Math.max(1, Math.round(duration * fps));
+    let ticksPerFrame = 30 / fps;
+    // frames longer than one tick are split into substeps, like the animation loop's refreshThrottle clamp
+    let substeps = Math.ceil(ticksPerFrame);
+    let writer = format == 'gif' ? new GifEncoder(width, height) : new ZipWriter();
+    let digits = String(frameCount).length;
+
+    let wasPaused = instance.paused;
+    instance.pause();
+    try {
+      for (let frame = 0; frame < frameCount; frame++) {
+        for (let i = 0; i < substeps; i++) {
+          instance.stepFrame(ticksPerFrame / substeps);
+        }
+        compositeFrame(instance, ctx, width, height);
+
+        if (format == 'gif') {
+          writer.addFrame(ctx.getImageData(0, 0, width, height).data, Math.round(100 / fps));
+        } else {
+          let png = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+          writer.addFile(`frame-${String(frame).padStart(digits, '0')}.png`, new Uint8Array(await png.arrayBuffer()));
+        }
+
+        if (options.onProgress) { options.onProgress((frame + 1) / frameCount); }
+        // give the page a chance to repaint (e.g. a progress readout) between frames
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    } finally {
+      if (!wasPaused) { instance.resume(); }
+    }
+    return writer.finish();
+  }
+
+  let api = { exportAnimation, compositeFrame, GifEncoder, ZipWriter };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
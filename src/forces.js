@@ -0,0 +1,136 @@
+// the force type registry. forces push live particles around on top of gravity and air resistance (see the forces option)
+(function (root) {
+  // a force, as given in the forces option, is a plain object: { type: 'attractor', x: 0.5, y: 0.4, strength: 1, radius: 120 }.
+  // positions are fractions of the viewport (so forces stay put when it resizes), strengths are in CSS pixels per tick per tick
+  // (gravity is 1.7) and distances in CSS pixels. a force type is an object with:
+  //   field(force, sim)              -> required. turns a force into the values accelerate() works with, in device pixels. called
+  //                                     at the start of every step, so a field can change over time (see wind gusts)
+  //   accelerate(field, x, y, out)   -> required. adds the acceleration at (x, y) to out[0] (x) and out[1] (y). called for every
+  //                                     live particle on every step, so it should be cheap
+  // fields that have a center should keep it in field.x, field.y and their reach in field.radius; showForces marks those
+  let forceTypes = {};
+  let forceTypeNames = [];
+
+  // adds (or replaces) a named force type
+  function registerForce(name, forceType) {
+    if (typeof forceType.field != 'function' || typeof forceType.accelerate != 'function') {
+      throw new Error(`Force type "${name}" needs field() and accelerate() methods`);
+    }
+    if (!forceTypes[name]) { forceTypeNames.push(name); }
+    forceTypes[name] = forceType;
+    return forceType;
+  }
+
+  function getForce(name) {
+    let forceType = forceTypes[name];
+    if (!forceType) { throw new Error(`Unknown force type: ${name}`); }
+    return forceType;
+  }
+
+  // the registered names, in registration order
+  function getForceNames() {
+    return forceTypeNames.slice();
+  }
+
+  // the field of a force with a center, shared by the point forces below. the acceleration is strength at the center and falls
+  // off with the square of the distance beyond the radius, so it never blows up close in, whatever the frame time
+  function pointField(force, sim, sign) {
+    return {
+      x: force.x * sim.width,
+      y: force.y * sim.height,
+      radius: (force.radius || 100) * sim.dpr,
+      strength: sign * (force.strength === undefined ? 1 : force.strength) * sim.dpr
+    };
+  }
+
+  // how much of a point field's strength is left at distance d
+  function falloff(field, d) {
+    let scaled = d / field.radius;
+    return field.strength / (1 + (scaled * scaled));
+  }
+
+  // pulls particles toward a point, or pushes them away with a negative sign
+  function radialAccelerate(field, x, y, out) {
+    let dx = field.x - x;
+    let dy = field.y - y;
+    let d = Math.sqrt((dx * dx) + (dy * dy));
+    if (d < 1) { return; }   // no direction to pull in
+    let acceleration = falloff(field, d) / d;
+    out[0] += dx * acceleration;
+    out[1] += dy * acceleration;
+  }
+
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                             Built-in Force Types                            */
+  /*                                                                             */
+  /*******************************************************************************/
+
+  // a horizontal wind. strength > 0 blows to the right. gust (0 to 1) lets it rise and fall: two slow sine waves over the
+  // simulation's time, rather than random numbers, so gusts don't use up RNG values and seeds replay the same with or without wind
+  registerForce('wind', {
+    field(force, sim) {
+      let t = sim.time;
+      let gust = (force.gust || 0) * ((0.6 * Math.sin(t * 0.07)) + (0.4 * Math.sin((t * 0.23) + 1.3)));
+      return { strength: (force.strength === undefined ? 0.3 : force.strength) * (1 + gust) * sim.dpr };
+    },
+    accelerate(field, x, y, out) {
+      out[0] += field.strength;
+    }
+  });
+
+  registerForce('attractor', {
+    field(force, sim) { return pointField(force, sim, 1); },
+    accelerate: radialAccelerate
+  });
+
+  registerForce('repulsor', {
+    field(force, sim) { return pointField(force, sim, -1); },
+    accelerate: radialAccelerate
+  });
+
+  // swirls particles around a point. strength > 0 turns clockwise (on screen)
+  registerForce('vortex', {
+    field(force, sim) { return pointField(force, sim, 1); },
+    accelerate(field, x, y, out) {
+      let dx = x - field.x;
+      let dy = y - field.y;
+      let d = Math.sqrt((dx * dx) + (dy * dy));
+      if (d < 1) { return; }
+      let acceleration = falloff(field, d) / d;
+      out[0] -= dy * acceleration;
+      out[1] += dx * acceleration;
+    }
+  });
+
+  // the pointer push (see Simulation.push()). not a registered type: it isn't a force one would place, but the pointer's movement
+  // since the last step, handed to the particles near it. dividing by the frame time turns that movement into an acceleration
+  // whose effect over the step is the same however the movement was split up into frames
+  function pushField(pointer, sim, refreshThrottle) {
+    let scale = 0.35 / Math.max(refreshThrottle, 0.01);
+    return {
+      x: pointer.x,
+      y: pointer.y,
+      radius: 80 * sim.dpr,
+      dx: pointer.dx * scale,
+      dy: pointer.dy * scale,
+      accelerate: pushAccelerate
+    };
+  }
+
+  function pushAccelerate(field, x, y, out) {
+    let dx = x - field.x;
+    let dy = y - field.y;
+    let scaled = ((dx * dx) + (dy * dy)) / (field.radius * field.radius);
+    if (scaled >= 1) { return; }
+    out[0] += field.dx * (1 - scaled);
+    out[1] += field.dy * (1 - scaled);
+  }
+
+  let api = { registerForce, getForce, getForceNames, pushField };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
@@ -0,0 +1,131 @@
+// the adaptive quality governor: watches how long an instance's frames take and lowers its quality while they miss the frame
+// budget, then restores it once there's headroom again. see the adaptiveQuality option of ParticleExplosions
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { EventEmitter } = nodeModule ? require('./events.js') : root.ParticleExplosions;
+
+  // the quality levels below full quality, from the first thing to go to the last. a level keeps the overrides of every level
+  // before it (see ParticleExplosions.setOverrides() for what each override does)
+  const steps = [
+    { enableReflections: false },
+    { enableGlow: false },
+    { particleScale: 0.5 },
+    { particleScale: 0.25 },
+    { burstRate: 0.5 },
+    { burstRate: 0.25 }
+  ];
+
+  // the animation loop's tick (ms): a frame moves the simulation by its length in ticks, but by no more than one (see animate() in
+  // explosions.js and worker.js). frames up to this long run at full speed, whatever the display's refresh rate, and only longer ones
+  // put the scene in slow motion, so this is the frame budget
+  const tickLength = 30;
+
+  // the overrides for a quality level (0 is full quality, steps.length the lowest)
+  function overridesFor(level) {
+    return Object.assign({}, ...steps.slice(0, level));
+  }
+
+  ///////////////////////////////////
+  //    Quality Governor Class     //
+  ///////////////////////////////////
+  // frame times are kept in a rolling window. once its average runs over the budget (one tick, unless opts.frameBudget sets another
+  // in ms) by more than a quarter, quality goes down one level; it only goes back up after the average has stayed within the budget
+  // for several windows in a row. a level that had to be given up again right after stepping up to it doubles that wait, so a scene
+  // that sits on the edge doesn't flicker between two levels. emits 'change' with { level, overrides } whenever the level changes
+  class QualityGovernor extends EventEmitter {
+    constructor(instance, opts = {}) {
+      super();
+      this.instance = instance;
+      this.frameBudget = opts.frameBudget || tickLength;         // ms
+      this.samples = new Float64Array(opts.windowSize || 60);    // the frame times (ms) in the window, a ring buffer
+      this.sampleCount = 0;
+      this.nextSample = 0;
+      this.lastFrameTime = null;
+      this.level = 0;
+      this.headroomFrames = 0;    // how long (in frames) the average has been within the budget
+      this.upgradeWindows = 3;    // how many windows of headroom it takes to step back up
+      this.lastChange = null;     // 'up' or 'down'
+
+      this.unsubscribe = [
+        instance.on('frame', () => { this.sample(performance.now()); }),
+        instance.on('replayend', () => { this.apply(); })   // a replay sets the overrides it recorded, so put back the current ones
+      ];
+    }
+
+    // records the time since the last frame and steps the quality level if the window calls for it
+    sample(now) {
+      let elapsed = this.lastFrameTime === null ? null : now - this.lastFrameTime;
+      this.lastFrameTime = now;
+      // pauses and hidden tabs make for huge gaps, and replays and exports (which step frames by hand while paused) don't run at the
+      // display's pace, so none of those say anything about how fast frames render
+      if (elapsed === null || elapsed > 250 || this.instance.paused || this.instance.replayer) { return; }
+
+      this.samples[this.nextSample] = elapsed;
+      this.nextSample = (this.nextSample + 1) % this.samples.length;
+      if (this.sampleCount < this.samples.length) { this.sampleCount++; }
+      if (this.sampleCount < this.samples.length) { return; }
+
+      let average = this.samples.reduce((sum, sample) => sum + sample, 0) / this.samples.length;
+      if (average > this.frameBudget * 1.25) {
+        this.stepDown();
+      } else if (average < this.frameBudget * 1.1) {
+        this.headroomFrames++;
+        if (this.headroomFrames >= this.upgradeWindows * this.samples.length) { this.stepUp(); }
+      } else {
+        this.headroomFrames = 0;
+      }
+    }
+
+    stepDown() {
+      let level = this.nextLevel(1);
+      if (level == this.level) { return; }
+      if (this.lastChange == 'up') { this.upgradeWindows = Math.min(this.upgradeWindows * 2, 48); }
+      this.lastChange = 'down';
+      this.setLevel(level);
+    }
+
+    stepUp() {
+      let level = this.nextLevel(-1);
+      if (level == this.level) { return; }
+      this.lastChange = 'up';
+      this.setLevel(level);
+    }
+
+    // the next level in the given direction that actually changes something. turning off reflections does nothing while the user
+    // has them off already, so that level is skipped rather than measured for a whole window
+    nextLevel(direction) {
+      let current = JSON.stringify(this.instance.effectiveSettings(overridesFor(this.level)));
+      for (let level = this.level + direction; level >= 0 && level <= steps.length; level += direction) {
+        if (JSON.stringify(this.instance.effectiveSettings(overridesFor(level))) != current) { return level; }
+      }
+      return this.level;
+    }
+
+    setLevel(level) {
+      this.level = level;
+      this.headroomFrames = 0;
+      this.sampleCount = 0;   // the new level gets a window of its own
+      this.apply();
+      this.emit('change', { level: level, overrides: overridesFor(level) });
+    }
+
+    apply() {
+      this.instance.setOverrides(overridesFor(this.level));
+    }
+
+    // stops watching the instance. the overrides are left to the caller
+    destroy() {
+      this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+      this.unsubscribe = [];
+      this.removeAllListeners();
+    }
+  }
+
+  QualityGovernor.levels = steps.length;
+
+  if (nodeModule) {
+    module.exports = { QualityGovernor };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { QualityGovernor });
+  }
+})(globalThis);
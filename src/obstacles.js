@@ -0,0 +1,178 @@
+// the obstacle type registry, and the walls. particles bounce off obstacles (static lines and circles drawn into the scene) and off
+// the side walls and ceiling, when those are on (see the obstacles and walls options, and collide() in pool.js)
+(function (root) {
+  // an obstacle, as given in the obstacles option, is a plain object:
+  //   { type: 'line', x1: 0.2, y1: 0.6, x2: 0.5, y2: 0.7, bounce: 0.8 }
+  //   { type: 'circle', x: 0.5, y: 0.4, radius: 60 }
+  // positions are fractions of the viewport, like forces, and radii are in CSS pixels. bounce is the share of its speed into the
+  // obstacle a particle keeps when it bounces off, and defaults to the bounce option. an obstacle type is an object with:
+  //   check(obstacle)                -> required. why the obstacle's own values can't be used, or null if they can
+  //   shape(obstacle, sim)           -> required. turns an obstacle into the values sweep() and draw() work with, in device pixels.
+  //                                     called whenever the options or the viewport change
+  //   sweep(shape, x, y, dx, dy, out) -> required. where along the move from (x, y) by (dx, dy) a particle first runs into the
+  //                                     shape, as a fraction of the move (0 to 1), or -1 if it doesn't. on a hit, writes the
+  //                                     surface's unit normal, facing the particle, to out[0] and out[1]. called for every live
+  //                                     particle on every step, so it should be cheap
+  //   draw(shape, ctx)               -> required. adds the shape's outline to the current path (see the showObstacles option)
+  let obstacleTypes = {};
+  let obstacleTypeNames = [];
+
+  // adds (or replaces) a named obstacle type
+  function registerObstacle(name, obstacleType) {
+    for (let method of ['check', 'shape', 'sweep', 'draw']) {
+      if (typeof obstacleType[method] != 'function') { throw new Error(`Obstacle type "${name}" needs a ${method}() method`); }
+    }
+    if (!obstacleTypes[name]) { obstacleTypeNames.push(name); }
+    obstacleTypes[name] = obstacleType;
+    return obstacleType;
+  }
+
+  function getObstacle(name) {
+    let obstacleType = obstacleTypes[name];
+    if (!obstacleType) { throw new Error(`Unknown obstacle type: ${name}`); }
+    return obstacleType;
+  }
+
+  // the registered names, in registration order
+  function getObstacleNames() {
+    return obstacleTypeNames.slice();
+  }
+
+  // why an obstacle (as given in the obstacles option) can't be used, or null if it can
+  function checkObstacle(obstacle) {
+    if (!obstacle || typeof obstacle != 'object') { return 'must be an object'; }
+    if (!obstacleTypes[obstacle.type]) { return `Unknown obstacle type: ${obstacle.type}`; }
+    if (obstacle.bounce !== undefined && !(obstacle.bounce >= 0 && obstacle.bounce <= 1.5)) { return 'bounce must be between 0 and 1.5'; }
+    return obstacleTypes[obstacle.type].check(obstacle);
+  }
+
+  // the walls option: { left: 0.8, right: 0.8, ceiling: 0.5 }. each one that's there is a wall, and its value is the share of its
+  // speed a particle keeps when it bounces off. the ones left out let particles leave the viewport, as they do without walls
+  const wallNames = ['left', 'right', 'ceiling'];
+
+  // the walls' shapes, which sweep() and draw() like obstacles: the edges of the viewport, facing in. a wall goes on forever along
+  // its edge, so a particle can't get around one, and one that's past it anyway (the viewport shrank) is turned back at once
+  function wallShapes(walls, sim) {
+    let shapes = [];
+    let edges = {
+      left: { x: 0, y: 0, nx: 1, ny: 0, length: sim.height },
+      right: { x: sim.width, y: 0, nx: -1, ny: 0, length: sim.height },
+      ceiling: { x: 0, y: 0, nx: 0, ny: 1, length: sim.width }
+    };
+    for (let name of wallNames) {
+      if (walls[name] === undefined) { continue; }
+      shapes.push(Object.assign(edges[name], { bounce: walls[name], sweep: sweepWall, draw: drawWall }));
+    }
+    return shapes;
+  }
+
+  function sweepWall(shape, x, y, dx, dy, out) {
+    let towards = (dx * shape.nx) + (dy * shape.ny);
+    if (towards >= 0) { return -1; }
+    let distance = ((x - shape.x) * shape.nx) + ((y - shape.y) * shape.ny);
+    if (distance + towards > 0) { return -1; }
+    out[0] = shape.nx;
+    out[1] = shape.ny;
+    return Math.max(distance / -towards, 0);
+  }
+
+  function drawWall(shape, ctx) {
+    ctx.moveTo(shape.x, shape.y);
+    ctx.lineTo(shape.x + Math.abs(shape.ny * shape.length), shape.y + Math.abs(shape.nx * shape.length));
+  }
+
+  // why a walls option value can't be used, or null if it can
+  function checkWalls(walls) {
+    if (!walls || typeof walls != 'object' || Array.isArray(walls)) { return 'must be an object such as { left: 0.8, right: 0.8 }'; }
+    for (let name in walls) {
+      if (!wallNames.includes(name)) { return `unknown wall "${name}"`; }
+      if (!(walls[name] >= 0 && walls[name] <= 1.5)) { return `${name} must be between 0 and 1.5`; }
+    }
+    return null;
+  }
+
+  // why a fraction of the viewport can't be used as one, or null if it can
+  function checkFractions(obstacle, names) {
+    for (let name of names) {
+      if (!(obstacle[name] >= 0 && obstacle[name] <= 1)) { return `${name} must be between 0 and 1`; }
+    }
+    return null;
+  }
+
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                           Built-in Obstacle Types                           */
+  /*                                                                             */
+  /*******************************************************************************/
+
+  // a line segment. particles bounce off either side
+  registerObstacle('line', {
+    check(obstacle) {
+      return checkFractions(obstacle, ['x1', 'y1', 'x2', 'y2']);
+    },
+    shape(obstacle, sim) {
+      let x1 = obstacle.x1 * sim.width;
+      let y1 = obstacle.y1 * sim.height;
+      let dx = (obstacle.x2 * sim.width) - x1;
+      let dy = (obstacle.y2 * sim.height) - y1;
+      let length = Math.sqrt((dx * dx) + (dy * dy));
+      return { x1: x1, y1: y1, dx: dx, dy: dy, nx: length > 0 ? -dy / length : 0, ny: length > 0 ? dx / length : 0 };
+    },
+    // where the move crosses the segment: solves x + t * dx = x1 + u * shape.dx (and the same for y) for t and u
+    sweep(shape, x, y, dx, dy, out) {
+      let denominator = (dx * shape.dy) - (dy * shape.dx);
+      if (Math.abs(denominator) < 1e-12) { return -1; }   // parallel (or a segment of no length)
+      let ax = shape.x1 - x;
+      let ay = shape.y1 - y;
+      let t = ((ax * shape.dy) - (ay * shape.dx)) / denominator;
+      let u = ((ax * dy) - (ay * dx)) / denominator;
+      if (t < 0 || t > 1 || u < 0 || u > 1) { return -1; }
+      let facing = (dx * shape.nx) + (dy * shape.ny) > 0 ? -1 : 1;
+      out[0] = shape.nx * facing;
+      out[1] = shape.ny * facing;
+      return t;
+    },
+    draw(shape, ctx) {
+      ctx.moveTo(shape.x1, shape.y1);
+      ctx.lineTo(shape.x1 + shape.dx, shape.y1 + shape.dy);
+    }
+  });
+
+  // a circle. particles bounce off its outside; one that starts inside (say, a burst set off there) is let out
+  registerObstacle('circle', {
+    check(obstacle) {
+      if (!(obstacle.radius > 0)) { return 'radius must be a number > 0'; }
+      return checkFractions(obstacle, ['x', 'y']);
+    },
+    shape(obstacle, sim) {
+      return { x: obstacle.x * sim.width, y: obstacle.y * sim.height, radius: obstacle.radius * sim.dpr };
+    },
+    // where the move enters the circle: the smaller root of |(x, y) + t * (dx, dy) - center| = radius
+    sweep(shape, x, y, dx, dy, out) {
+      let fx = x - shape.x;
+      let fy = y - shape.y;
+      let c = (fx * fx) + (fy * fy) - (shape.radius * shape.radius);
+      if (c < 0) { return -1; }   // inside already
+      let a = (dx * dx) + (dy * dy);
+      let b = 2 * ((fx * dx) + (fy * dy));
+      let discriminant = (b * b) - (4 * a * c);
+      if (a == 0 || discriminant < 0) { return -1; }
+      let t = (-b - Math.sqrt(discriminant)) / (2 * a);
+      if (t < 0 || t > 1) { return -1; }
+      out[0] = (fx + (t * dx)) / shape.radius;
+      out[1] = (fy + (t * dy)) / shape.radius;
+      return t;
+    },
+    draw(shape, ctx) {
+      ctx.moveTo(shape.x + shape.radius, shape.y);
+      ctx.arc(shape.x, shape.y, shape.radius, 0, 2 * Math.PI);
+    }
+  });
+
+  let api = { registerObstacle, getObstacle, getObstacleNames, checkObstacle, checkWalls, wallShapes };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
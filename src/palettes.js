@@ -0,0 +1,155 @@
+// the palette registry and color evolutions: what colors a burst's particles are drawn in, and how those colors change as the
+// particles age (see the palette, colorEvolution and fadeOut options)
+(function (root) {
+  // colors are [hue, saturation, lightness] arrays (saturation and lightness in percent), so they can be lightened, desaturated for
+  // the reflection and blended over a particle's lifetime. a palette is an object with:
+  //   colors(hue)  -> required. the base colors of a burst, given the burst's hue (random, or opts.hue)
+  //   sweep        -> optional. when true, the colors are spread over the burst in runs (the first particles get the first color,
+  //                   and so on) rather than handed out in turn. burst patterns lay particles out by index, so a ring sweeps
+  //                   around the color wheel
+  // the palette option takes a registered palette's name or a list of colors of its own, e.g. ['#ff2266', '#ffd700']
+  let palettes = {};
+  let paletteNames = [];
+
+  // adds (or replaces) a named palette
+  function registerPalette(name, palette) {
+    if (typeof palette.colors != 'function') {
+      throw new Error(`Palette "${name}" needs a colors() method`);
+    }
+    if (!palettes[name]) { paletteNames.push(name); }
+    palettes[name] = palette;
+    return palette;
+  }
+
+  // looks up a palette option value: a registered name, or a list of colors, which makes a palette of those colors
+  function getPalette(value) {
+    if (Array.isArray(value)) {
+      if (value.length == 0) { throw new Error('A palette needs at least one color'); }
+      let colors = value.map(parseColor);
+      return { colors: () => colors };
+    }
+    let palette = palettes[value];
+    if (!palette) { throw new Error(`Unknown palette: ${value}`); }
+    return palette;
+  }
+
+  // the registered names, in registration order
+  function getPaletteNames() {
+    return paletteNames.slice();
+  }
+
+  // turns '#rgb' or '#rrggbb' into [hue, saturation, lightness]
+  function parseColor(color) {
+    let match = typeof color == 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (!match) { throw new Error(`Palette colors must be written as #rgb or #rrggbb, not ${JSON.stringify(color)}`); }
+    let hex = match[1].length == 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    let r = parseInt(hex.slice(0, 2), 16) / 255;
+    let g = parseInt(hex.slice(2, 4), 16) / 255;
+    let b = parseInt(hex.slice(4, 6), 16) / 255;
+    let max = Math.max(r, g, b);
+    let min = Math.min(r, g, b);
+    let lightness = (max + min) / 2;
+    if (max == min) { return [0, 0, Math.round(lightness * 100)]; }
+    let d = max - min;
+    let saturation = lightness > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let hue;
+    switch (max) {
+      case r:
+        hue = ((g - b) / d) + (g < b ? 6 : 0);
+      break;
+      case g:
+        hue = ((b - r) / d) + 2;
+      break;
+      default:
+        hue = ((r - g) / d) + 4;
+      break;
+    }
+    return [Math.round(hue * 60), Math.round(saturation * 100), Math.round(lightness * 100)];
+  }
+
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                              Built-in Palettes                              */
+  /*                                                                             */
+  /*******************************************************************************/
+
+  // one color per burst, at a random hue. the default, and what bursts looked like before palettes
+  registerPalette('random', {
+    colors: (hue) => [[hue, 100, 50]]
+  });
+
+  // shades of the burst's hue, from deep to pale. a list with a single color keeps every burst in that one hue instead
+  registerPalette('monochrome', {
+    colors: (hue) => [[hue, 100, 32], [hue, 100, 50], [hue, 85, 68], [hue, 70, 84]]
+  });
+
+  // the burst's hue and the one across the color wheel from it, particle by particle
+  registerPalette('complementary', {
+    colors: (hue) => [[hue, 100, 50], [(hue + 180) % 360, 100, 50]]
+  });
+
+  // the whole color wheel, starting at the burst's hue, swept across the burst
+  registerPalette('rainbow', {
+    sweep: true,
+    colors(hue) {
+      let colors = [];
+      for (let i = 0; i < 12; i++) {
+        colors.push([(hue + (i * 30)) % 360, 100, 50]);
+      }
+      return colors;
+    }
+  });
+
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                               Color Evolutions                              */
+  /*                                                                             */
+  /*******************************************************************************/
+
+  // how a particle's color changes from its birth (0) to its death (1): stops of [time, color], blended in between. 'base' is the
+  // particle's palette color, 'white' is that color burning white-hot, and anything else a fixed color
+  const colorEvolutions = {
+    none: null,
+    cooling: [[0, 'white'], [0.15, 'base'], [0.55, 'base'], [1, [8, 100, 32]]],    // white-hot, then its hue, then an ember red
+    flash: [[0, 'white'], [0.25, 'base']]
+  };
+
+  // the stops of a color evolution, by name (null for 'none')
+  function getColorEvolution(name) {
+    if (!Object.prototype.hasOwnProperty.call(colorEvolutions, name)) { throw new Error(`Unknown color evolution: ${name}`); }
+    return colorEvolutions[name];
+  }
+
+  function getColorEvolutionNames() {
+    return Object.keys(colorEvolutions);
+  }
+
+  // the color of a particle of the given base color at the given point of its lifetime, written to out
+  function evolveColor(stops, base, t, out) {
+    let i = 1;
+    while (i < stops.length - 1 && stops[i][0] < t) { i++; }
+    let [fromAt, from] = stops[i - 1];
+    let [toAt, to] = stops[i];
+    from = stopColor(from, base);
+    to = stopColor(to, base);
+    let f = Math.min(Math.max((t - fromAt) / (toAt - fromAt), 0), 1);
+    let hueDistance = ((((to[0] - from[0]) % 360) + 540) % 360) - 180;   // the short way around the color wheel
+    out[0] = (from[0] + (hueDistance * f) + 360) % 360;
+    out[1] = from[1] + ((to[1] - from[1]) * f);
+    out[2] = from[2] + ((to[2] - from[2]) * f);
+    return out;
+  }
+
+  function stopColor(stop, base) {
+    if (stop == 'base') { return base; }
+    if (stop == 'white') { return [base[0], 100, 96]; }
+    return stop;
+  }
+
+  let api = { registerPalette, getPalette, getPaletteNames, parseColor, getColorEvolution, getColorEvolutionNames, evolveColor };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
@@ -0,0 +1,174 @@
+// the burst pattern registry. a pattern shapes a burst by overriding the values ParticlePool.reset() picked for each particle
+(function (root) {
+  // a pattern is an object with:
+  //   init(particle, index, count, sim)  -> required. called for every particle right after it was reset; sets speeds, lifetime, drag...
+  //   count(particlesPerBurst)           -> optional. how many particles the burst uses (defaults to particlesPerBurst)
+  //   update(group, sim)                 -> optional. called once per step after the group's particles have moved. group.particle(i)
+  //                                         returns the group's i-th particle, and group.count is the number of particles. as it runs
+  //                                         every step, it can also go to the pool's arrays (sim.pool) by slot (group.slots[i])
+  //   lineScale                          -> optional. multiplies the rendered line widths (defaults to 1)
+  //   dormant                            -> optional. true if init() leaves some particles dormant (lifetime 0) for update() to
+  //                                         bring in later. shaped bursts need every particle live, so they use 'random' instead
+  let patterns = {};
+  let patternNames = [];
+
+  // adds (or replaces) a named pattern. registered patterns can be picked from the controls and are part of the auto burst cycle
+  function registerPattern(name, pattern) {
+    if (typeof pattern.init != 'function') { throw new Error(`Burst pattern "${name}" needs an init() method`); }
+    if (!patterns[name]) { patternNames.push(name); }
+    patterns[name] = pattern;
+    return pattern;
+  }
+
+  function getPattern(name) {
+    let pattern = patterns[name];
+    if (!pattern) { throw new Error(`Unknown burst pattern: ${name}`); }
+    return pattern;
+  }
+
+  // the registered names, in registration order
+  function getPatternNames() {
+    return patternNames.slice();
+  }
+
+  // sets a particle's x/y speeds from an angle and a speed, leaving a little random depth movement
+  function launch(particle, angle, speed, sim) {
+    particle.xSpeed = Math.cos(angle) * speed * sim.dpr;
+    particle.ySpeed = Math.sin(angle) * speed * sim.dpr;
+    particle.zSpeed = (0.25 + (sim.rng.value() * -0.5)) * sim.dpr;
+  }
+
+  // builds a pattern that expands into the outline of a closed shape. point(t) returns the outline position for t in [0, 1),
+  // scaled so the outline's largest extent is about 1. every particle uses the same zSpeed so the shape doesn't smear apart
+  function outlinePattern(point, speed = 12) {
+    return {
+      init(particle, index, count, sim) {
+        let [x, y] = point(index / count);
+        particle.xSpeed = x * speed * sim.dpr;
+        particle.ySpeed = y * speed * sim.dpr;
+        particle.zSpeed = 0;
+        particle.lifetime = 75 + Math.round(sim.rng.value() * 10);
+      }
+    };
+  }
+
+  /*******************************************************************************/
+  /*                                                                             */
+  /*                              Built-in Patterns                              */
+  /*                                                                             */
+  /*******************************************************************************/
+
+  // the original burst: uniformly random x/y/z speeds in a box. ParticlePool.reset() already did all the work
+  registerPattern('random', {
+    init() {}
+  });
+
+  // evenly spaced particles, all at the same speed
+  registerPattern('ring', {
+    init(particle, index, count, sim) {
+      launch(particle, (index / count) * Math.PI * 2, 12 + (sim.rng.value() * 0.6), sim);
+    }
+  });
+
+  // two concentric rings; the inner ring is slower, so it stays inside the outer one
+  registerPattern('doubleRing', {
+    init(particle, index, count, sim) {
+      let half = Math.ceil(count / 2);
+      let inner = index >= half;
+      let ringIndex = inner ? index - half : index;
+      let ringCount = inner ? count - half : half;
+      launch(particle, (ringIndex / ringCount) * Math.PI * 2, (inner ? 6.5 : 13) + (sim.rng.value() * 0.6), sim);
+    }
+  });
+
+  // long-lived, slow particles with heavy drag, so they droop under gravity like willow branches
+  registerPattern('willow', {
+    init(particle, index, count, sim) {
+      launch(particle, sim.rng.value() * Math.PI * 2, 4 + (sim.rng.value() * 5), sim);
+      particle.lifetime = 120 + Math.round(sim.rng.value() * 40);
+      particle.drag = 8;
+    }
+  });
+
+  // a handful of thick, bright comets thrown upward and outward
+  registerPattern('palm', {
+    count: (particlesPerBurst) => Math.max(6, Math.round(particlesPerBurst / 8)),
+    lineScale: 2.5,
+    init(particle, index, count, sim) {
+      // fan the comets out over the upper half circle
+      let angle = Math.PI + ((index + 0.5) / count) * Math.PI;
+      launch(particle, angle, 10 + (sim.rng.value() * 3), sim);
+      particle.lifetime = 80 + Math.round(sim.rng.value() * 20);
+      particle.drag = 2;
+    }
+  });
+
+  // a fifth of the particles fly out as stars. mid-flight every star splits into four, using the rest of the particles
+  registerPattern('crossette', {
+    dormant: true,
+    init(particle, index, count, sim) {
+      let stars = Math.ceil(count / 5);
+      if (index < stars) {
+        launch(particle, (index / stars) * Math.PI * 2, 9 + (sim.rng.value() * 2), sim);
+        particle.lifetime = 60 + Math.round(sim.rng.value() * 20);
+        particle.splitAt = particle.lifetime - 14 - Math.round(sim.rng.value() * 8);  // split once the lifetime drops to this value
+      } else {
+        particle.lifetime = 0;    // dormant until its star splits
+      }
+    },
+    update(group, sim) {
+      let { x, y, z, prevX, prevY, prevZ, xSpeed, ySpeed, zSpeed, lifetime, splitAt, airborne } = sim.pool;
+      let stars = Math.ceil(group.count / 5);
+      for (let i = 0; i < stars; i++) {
+        let star = group.slots[i];
+        if (isNaN(splitAt[star]) || lifetime[star] <= 0 || lifetime[star] > splitAt[star]) { continue; }
+
+        let baseAngle = sim.rng.value() * Math.PI / 2;
+        for (let k = 0; k < 4; k++) {
+          if (stars + (i * 4) + k >= group.count) { break; }
+          let child = group.slots[stars + (i * 4) + k];
+          x[child] = prevX[child] = x[star];
+          y[child] = prevY[child] = y[star];
+          z[child] = prevZ[child] = z[star];
+          xSpeed[child] = xSpeed[star] + (Math.cos(baseAngle + (k * Math.PI / 2)) * 5 * sim.dpr);
+          ySpeed[child] = ySpeed[star] + (Math.sin(baseAngle + (k * Math.PI / 2)) * 5 * sim.dpr);
+          zSpeed[child] = zSpeed[star];
+          airborne[child] = airborne[star];
+          lifetime[child] = 25 + Math.round(sim.rng.value() * 15);
+        }
+        splitAt[star] = NaN;
+        lifetime[star] = -1;
+      }
+    }
+  });
+
+  // the classic parametric heart, flipped for screen coordinates
+  registerPattern('heart', outlinePattern((t) => {
+    let a = t * Math.PI * 2;
+    return [
+      (16 * Math.pow(Math.sin(a), 3)) / 17,
+      -((13 * Math.cos(a)) - (5 * Math.cos(2 * a)) - (2 * Math.cos(3 * a)) - Math.cos(4 * a)) / 17
+    ];
+  }));
+
+  // a five-pointed star, walking the ten edges between the outer and inner points
+  registerPattern('star', outlinePattern((t) => {
+    let edge = Math.floor(t * 10);
+    let along = (t * 10) - edge;
+    let corner = (n) => {
+      let angle = (n / 10) * Math.PI * 2 - Math.PI / 2;
+      let radius = n % 2 == 0 ? 1 : 0.4;
+      return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    };
+    let [x1, y1] = corner(edge);
+    let [x2, y2] = corner(edge + 1);
+    return [x1 + ((x2 - x1) * along), y1 + ((y2 - y1) * along)];
+  }));
+
+  let api = { registerPattern, getPattern, getPatternNames };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
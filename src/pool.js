@@ -0,0 +1,381 @@
+// the particle pool: every particle of a simulation lives in one set of typed arrays (struct of arrays), indexed by slot.
+// particle groups and shells take slots from the pool's free list and hand them back when their particles have died
+(function (root) {
+  // the per-particle values. the ones the physics carries from step to step are 64 bits, so the math is exactly what it was with
+  // plain numbers and seeds keep reproducing. the rest are 32 bits, which halves what a step has to go through for them: the previous
+  // position is only drawn (a stroke's start, off by far less than a pixel), age only picks colors, and drag and splitAt only ever
+  // hold whole numbers. splitAt is NaN for particles that never split. age counts the ticks a particle has been alive (for colors that
+  // change over its lifetime, see palettes.js). airborne is kept separately, in a Uint8Array
+  const doubleFields = ['x', 'y', 'z', 'xSpeed', 'ySpeed', 'zSpeed', 'lifetime'];
+  const singleFields = ['prevX', 'prevY', 'prevZ', 'age', 'drag', 'splitAt'];
+  const floatFields = doubleFields.concat(singleFields);
+
+  // how many random values reset() draws for a particle
+  const resetDraws = 5;
+
+  // collide(): the most obstacles a particle can bounce off in one step (a particle wedged into a corner stops there for the step),
+  // and how far from an obstacle's surface a bounced particle is put, in device pixels, so it doesn't hit the same spot again
+  const maxHits = 4;
+  const surfaceGap = 0.01;
+
+  ///////////////////////////////
+  //    Particle Pool Class    //
+  ///////////////////////////////
+  // the pool grows (doubling) whenever it runs out of free slots, and never shrinks. hot loops (stepping, rendering) read the
+  // arrays directly; everything else can use view(slot) to get an object-like Particle
+  class ParticlePool {
+    constructor(sim, capacity = 1024) {
+      this.sim = sim;             // supplies the viewport, physics constants and RNG
+      this.capacity = 0;
+      this.freeSlots = new Int32Array(0);   // a stack of unused slots
+      this.freeCount = 0;
+      this.views = [];            // Particle views, created on demand and kept for each slot
+      this.died = new Int32Array(0);        // filled by moveSlots()
+      this.diedCount = 0;
+      this.bounceCount = 0;                 // floor bounces (and where they were, summed) since the simulation's step began
+      this.bounceXSum = 0;
+      this.bounceYSum = 0;
+      this.acceleration = new Float64Array(2);   // filled by the force fields for one particle at a time
+      this.normal = new Float64Array(2);         // filled by the obstacles' sweeps (see collide())
+      for (let name of doubleFields) { this[name] = new Float64Array(0); }
+      for (let name of singleFields) { this[name] = new Float32Array(0); }
+      this.airborne = new Uint8Array(0);    // once y speed reaches a negligible amount, this drops to 0
+      this.grow(capacity);
+    }
+
+    // the number of slots in use
+    get size() {
+      return this.capacity - this.freeCount;
+    }
+
+    // reallocates every array at the new capacity, keeping the current values. the new slots go on top of the free list, lowest first
+    grow(capacity) {
+      for (let name of floatFields) {
+        let values = doubleFields.includes(name) ? new Float64Array(capacity) : new Float32Array(capacity);
+        values.set(this[name]);
+        this[name] = values;
+      }
+      let airborne = new Uint8Array(capacity);
+      airborne.set(this.airborne);
+      this.airborne = airborne;
+
+      let freeSlots = new Int32Array(capacity);
+      freeSlots.set(this.freeSlots.subarray(0, this.freeCount));
+      for (let slot = capacity - 1; slot >= this.capacity; slot--) {
+        freeSlots[this.freeCount++] = slot;
+      }
+      this.freeSlots = freeSlots;
+      this.capacity = capacity;
+    }
+
+    // takes a slot off the free list. note that growing replaces the arrays, so don't hold on to them across an allocate() call
+    allocate() {
+      if (this.freeCount == 0) { this.grow(this.capacity * 2); }
+      return this.freeSlots[--this.freeCount];
+    }
+
+    release(slot) {
+      this.lifetime[slot] = 0;
+      this.freeSlots[this.freeCount++] = slot;
+    }
+
+    // frees every slot at once. used when the simulation starts over
+    clear() {
+      this.freeCount = 0;
+      for (let slot = this.capacity - 1; slot >= 0; slot--) {
+        this.freeSlots[this.freeCount++] = slot;
+      }
+      this.lifetime.fill(0);
+    }
+
+    // the particles in flight: live ones, not counting the slots of dead and dormant particles that groups still hold on to
+    liveCount() {
+      let live = 0;
+      for (let slot = 0; slot < this.capacity; slot++) {
+        if (this.lifetime[slot] > 0) { live++; }
+      }
+      return live;
+    }
+
+    view(slot) {
+      return this.views[slot] || (this.views[slot] = new Particle(this, slot));
+    }
+
+    // draws the random values reset() would for the given number of particles, without touching any slot
+    skipResets(count) {
+      this.sim.rng.skip(count * resetDraws);
+    }
+
+    // places a particle at (x, y) and re-randomizes its values. used when a particle group (re)spawns and for shell sparks
+    reset(slot, x, y) {
+      let sim = this.sim;
+      let rng = sim.rng;
+      this.x[slot] = x;
+      this.y[slot] = y;
+      this.lifetime[slot] = sim.minLifetime + Math.round(rng.value() * (sim.maxLifetime - sim.minLifetime));  // particles will automatically be culled when their lifetime hits zero
+      this.z[slot] = Math.max(sim.depthY + Math.round(rng.value() * sim.height / 12), y);  // simulates depth (see move/render methods)
+      this.xSpeed[slot] = (sim.burstSpeedX + (rng.value() * -2 * sim.burstSpeedX)) * sim.dpr;   // speed variables
+      this.ySpeed[slot] = (sim.burstSpeedY + (rng.value() * -2 * sim.burstSpeedY)) * sim.dpr;   // for each axis
+      this.zSpeed[slot] = (0.5 + (rng.value() * -1)) * sim.dpr;      // note that zSpeed is set much lower, as depth changes more subtly/slowly than x/y position
+      this.airborne[slot] = 1;
+      this.drag[slot] = 1;          // multiplies the simulation's air resistance for this particle (burst patterns like willow raise it)
+      this.splitAt[slot] = NaN;     // used by patterns that split particles mid-flight (crossette)
+      this.age[slot] = 0;
+      this.prevX[slot] = x;         // the last position. utilized in particle stroke rendering
+      this.prevY[slot] = y;
+      this.prevZ[slot] = this.z[slot];
+    }
+
+    // stretches a particle's position (and depth, which lives on the y axis) with the viewport, and its speeds with the DPR
+    rescale(slot, scaleX, scaleY, speedScale) {
+      this.x[slot] *= scaleX;
+      this.prevX[slot] *= scaleX;
+      this.y[slot] *= scaleY;
+      this.prevY[slot] *= scaleY;
+      this.z[slot] *= scaleY;
+      this.prevZ[slot] *= scaleY;
+      this.xSpeed[slot] *= speedScale;
+      this.ySpeed[slot] *= speedScale;
+      this.zSpeed[slot] *= speedScale;
+    }
+
+    // moves the live particles in slots[start] up to (not including) slots[end]. the amount of movement is adjusted by the last
+    // requestAnimationFrame call's duration. returns how many of them were alive before moving. the slots of particles that died
+    // on this step are collected in this.died (the first this.diedCount entries), e.g. for crackle. floor bounces are added to
+    // this.bounceCount, this.bounceXSum and this.bounceYSum (e.g. for sound)
+    moveSlots(slots, start, end, refreshThrottle) {
+      let sim = this.sim;
+      let { x, y, z, prevX, prevY, prevZ, xSpeed, ySpeed, zSpeed, lifetime, age, airborne, drag } = this;
+      let { width, height, floorY, gravity, enableFloor } = sim;
+      let collides = sim.obstacleShapes.length > 0;
+      let bounce = -sim.bounce;
+      let airResistanceBase = sim.airResistance;
+      let fields = sim.forceFields;
+      let fieldCount = fields.length;
+      let acceleration = this.acceleration;
+      if (this.died.length < end - start) { this.died = new Int32Array(end - start); }
+      let died = this.died;
+      let diedCount = 0;
+      let alive = 0;
+      let bounceCount = 0;
+      let bounceXSum = 0;
+      let bounceYSum = 0;
+
+      // each particle's values are read into locals once and written back once: the arrays could share a buffer as far as the
+      // engine knows, so every write to one of them would otherwise make it read the others again
+      for (let i = start; i < end; i++) {
+        let slot = slots[i];
+        let life = lifetime[slot];
+        if (life <= 0) { continue; }
+        alive++;
+        life -= refreshThrottle;
+        age[slot] += refreshThrottle;
+        let px = x[slot];
+        let py = y[slot];
+        let pz = z[slot];
+        let fromX = px;
+        let fromY = py;
+
+        // no further processing for particles outside the viewport or whose lifetime is 0 or less
+        if (px < 0 || px > width || py > height || life <= 0) {
+          lifetime[slot] = -1;
+          died[diedCount++] = slot;
+          continue;
+        }
+
+        // store previous position values
+        prevX[slot] = px;
+        prevY[slot] = py;
+        prevZ[slot] = pz;
+        let vx = xSpeed[slot];
+        let vy = ySpeed[slot];
+        let vz = zSpeed[slot];
+
+        // forces change the speeds like gravity does, so they hold up at any frame time the same way it does
+        if (fieldCount > 0) {
+          acceleration[0] = 0;
+          acceleration[1] = 0;
+          for (let f = 0; f < fieldCount; f++) {
+            fields[f].accelerate(fields[f], px, py, acceleration);
+          }
+          vx += acceleration[0] * refreshThrottle;
+          vy += acceleration[1] * refreshThrottle;
+        }
+
+        if (!enableFloor) {
+          // if floors are not enabled, do a flat application of the x/y speeds to the particle's coords. no change to speed here
+          // (apart from the forces)
+          px += vx * refreshThrottle;
+          py += vy * refreshThrottle;
+          pz += vz * refreshThrottle;
+        } else {
+          // 3 conditions:
+          // on the ground -> your current ySpeed is negligible and your distance to z is negligible
+          // bouncing -> your next proposed y position is greater than your z position, and your current or proposed y speeds are large.
+          // free fall -> your next proposed y position is less than your z position
+
+          let proposedY = py + (vy * refreshThrottle);
+          let proposedZ = pz + (vz * refreshThrottle);
+
+          // hold on to the previous ySpeed, so calculations can be done for airbornedness
+          let prevYSpeed = vy;
+
+          let airResistance = airResistanceBase * drag[slot];
+          vx = vx - (vx * airResistance * refreshThrottle);
+          vz = vz - (vz * airResistance * refreshThrottle);
+          vy = vy - (vy * airResistance * refreshThrottle) + (gravity * refreshThrottle);
+          pz += vz * refreshThrottle;
+
+          if (!airborne[slot]) {
+            if (py < floorY) { life = -1; }   // if the particle is above the reflective floor draw area, kill it
+
+            px += vx * refreshThrottle;
+            py += vz * refreshThrottle;
+
+          } else if (proposedY < proposedZ) {
+            // free fall
+            px += vx * refreshThrottle;
+            py += (vy * refreshThrottle) + (vz * refreshThrottle);
+          } else {
+            // bounce
+            if (py < floorY) { life = -1; }   // if the particle is above the reflective floor draw area, kill it
+
+            // since a bounce interrupts what would be a full y axis displacement, we need to move only a proportion of the final
+            // position (the amount of movement allowed divided by the full proposed movement)
+            let movementProportion = (Math.abs((py - pz) / vy) / refreshThrottle);
+
+            vy *= bounce;
+
+            // snap the particle's y position to its z position and move x by the proportion
+            px += vx * movementProportion * refreshThrottle;
+            py = pz + vz * refreshThrottle;
+            bounceCount++;
+            bounceXSum += px;
+            bounceYSum += py;
+
+            // if the resulting bounce speed is less than gravity, set the particle to no longer airborne
+            if (Math.abs(Math.abs(vy) - Math.abs(prevYSpeed)) < gravity / 3) {
+              airborne[slot] = 0;
+            }
+          }
+        }
+
+        x[slot] = px;
+        y[slot] = py;
+        z[slot] = pz;
+        xSpeed[slot] = vx;
+        ySpeed[slot] = vy;
+        zSpeed[slot] = vz;
+        lifetime[slot] = life;
+        if (collides) { this.collide(slot, fromX, fromY); }
+        if (life <= 0) { died[diedCount++] = slot; }
+      }
+
+      this.diedCount = diedCount;
+      this.bounceCount += bounceCount;
+      this.bounceXSum += bounceXSum;
+      this.bounceYSum += bounceYSum;
+      return alive;
+    }
+
+    // bounces a particle that has just moved from (fromX, fromY) to (x, y) off the obstacles and walls in its way. the whole move is
+    // swept rather than only where it ended up, so particles can't pass through thin obstacles however fast they go or however long
+    // the frame was. at a hit, the particle is put at the surface and the rest of its move and its speed are turned around, keeping
+    // the obstacle's bounce of the part into the surface (and all of the part along it)
+    collide(slot, fromX, fromY) {
+      let { x, y, xSpeed, ySpeed } = this;
+      let shapes = this.sim.obstacleShapes;
+      let normal = this.normal;
+      let dx = x[slot] - fromX;
+      let dy = y[slot] - fromY;
+      let hits = 0;
+
+      while (hits < maxHits) {
+        let first = 2;
+        let hit = null;
+        let nx = 0;
+        let ny = 0;
+        for (let s = 0; s < shapes.length; s++) {
+          let t = shapes[s].sweep(shapes[s], fromX, fromY, dx, dy, normal);
+          if (t >= 0 && t < first) {
+            first = t;
+            hit = shapes[s];
+            nx = normal[0];
+            ny = normal[1];
+          }
+        }
+        if (!hit) { break; }
+        hits++;
+        let restitution = 1 + hit.bounce;
+        fromX += (dx * first) + (nx * surfaceGap);
+        fromY += (dy * first) + (ny * surfaceGap);
+        dx *= 1 - first;
+        dy *= 1 - first;
+        let into = (dx * nx) + (dy * ny);
+        if (into < 0) {
+          dx -= into * restitution * nx;
+          dy -= into * restitution * ny;
+        }
+        let speedInto = (xSpeed[slot] * nx) + (ySpeed[slot] * ny);
+        if (speedInto < 0) {
+          xSpeed[slot] -= speedInto * restitution * nx;
+          ySpeed[slot] -= speedInto * restitution * ny;
+        }
+      }
+
+      if (hits == maxHits) {
+        dx = 0;
+        dy = 0;
+      }
+      if (hits > 0) {
+        x[slot] = fromX + dx;
+        y[slot] = fromY + dy;
+      }
+    }
+  }
+
+  //////////////////////////
+  //    Particle Class    //
+  //////////////////////////
+  // one pool slot seen as an object, for code that handles a particle at a time (burst patterns, shells). every property reads and
+  // writes the pool's arrays, so a view stays valid when the pool grows
+  class Particle {
+    constructor(pool, slot) {
+      this.pool = pool;
+      this.slot = slot;
+    }
+
+    get airborne() {
+      return this.pool.airborne[this.slot] == 1;
+    }
+
+    set airborne(value) {
+      this.pool.airborne[this.slot] = value ? 1 : 0;
+    }
+
+    // null when the particle never splits
+    get splitAt() {
+      let splitAt = this.pool.splitAt[this.slot];
+      return isNaN(splitAt) ? null : splitAt;
+    }
+
+    set splitAt(value) {
+      this.pool.splitAt[this.slot] = value === null ? NaN : value;
+    }
+  }
+
+  for (let name of floatFields) {
+    if (name == 'splitAt') { continue; }
+    Object.defineProperty(Particle.prototype, name, {
+      get() { return this.pool[name][this.slot]; },
+      set(value) { this.pool[name][this.slot] = value; }
+    });
+  }
+
+  let api = { ParticlePool, Particle };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
@@ -0,0 +1,78 @@
+// named presets: sets of physics values (and any other options) that can be applied to an instance in one go, saved and shared as JSON
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { checkOptionValue } = nodeModule ? require('./storage.js') : root.ParticleExplosions;
+
+  // a preset looks like this:
+  // { "name": "Moon gravity", "options": { "gravity": 0.3, "bounce": 0.75 } }
+  // applying a preset sets every physics option to the preset's value, or back to its default when the preset leaves it out, so
+  // presets don't mix. any other option a preset has (e.g. particlesPerBurst) is applied as given, and the rest are left alone.
+  // a file of presets looks like this: { "version": 1, "presets": [ ... ] }
+  const presetsVersion = 1;
+  const physicsOptions = ['gravity', 'airResistance', 'bounce', 'minLifetime', 'maxLifetime', 'burstSpeedX', 'burstSpeedY', 'floorLevel'];
+
+  // the presets that come with the library
+  const builtInPresets = [
+    { name: 'Default', options: {} },
+    { name: 'Moon gravity', options: { gravity: 0.28, airResistance: 0.0005, bounce: 0.75, minLifetime: 120, maxLifetime: 180 } },
+    { name: 'Syrup', options: { gravity: 0.6, airResistance: 0.02, bounce: 0.15, minLifetime: 90, maxLifetime: 140, burstSpeedX: 9, burstSpeedY: 12 } },
+    { name: 'Super bouncy', options: { gravity: 2.2, bounce: 0.92, minLifetime: 150, maxLifetime: 240 } },
+    { name: 'Big bang', options: { burstSpeedX: 22, burstSpeedY: 28, airResistance: 0.004, minLifetime: 45, maxLifetime: 75 } }
+  ];
+
+  // a preset holding the instance's current physics options and particle count
+  function createPreset(instance, name) {
+    let options = {};
+    for (let optionName of physicsOptions.concat('particlesPerBurst')) {
+      options[optionName] = instance.getOption(optionName);
+    }
+    return { name: name, options: options };
+  }
+
+  // applies a preset to an instance. options that already have the preset's value aren't set again (a new particlesPerBurst, for
+  // one, starts the simulation over)
+  function applyPreset(instance, preset) {
+    let defaults = instance.constructor.defaults;
+    let options = Object.assign({}, preset.options);
+    for (let optionName of physicsOptions) {
+      if (!(optionName in options)) { options[optionName] = defaults[optionName]; }
+    }
+    for (let optionName in options) {
+      if (instance.getOption(optionName) !== options[optionName]) { instance.setOption(optionName, options[optionName]); }
+    }
+  }
+
+  // validates a file of presets (an object or a JSON string) and returns its presets. throws on anything that couldn't be applied
+  // to the given instance
+  function parsePresets(presets, instance) {
+    let defaults = instance.constructor.defaults;
+    if (typeof presets == 'string') { presets = JSON.parse(presets); }
+    if (!presets || presets.version !== presetsVersion || !Array.isArray(presets.presets)) {
+      throw new Error(`Unsupported presets file; expected version ${presetsVersion} with a "presets" array`);
+    }
+    return presets.presets.map((preset, i) => {
+      let fail = (message) => { throw new Error(`Preset ${i}: ${message}`); };
+      if (!preset || typeof preset.name != 'string' || !preset.name) { fail('needs a name'); }
+      if (!preset.options || typeof preset.options != 'object') { fail('needs an "options" object'); }
+      for (let optionName in preset.options) {
+        if (!(optionName in defaults)) { fail(`unknown option "${optionName}"`); }
+        if (instance.constructor.creationOptions.includes(optionName)) { fail(`${optionName} can only be set when an instance is created`); }
+        let error = checkOptionValue(optionName, preset.options[optionName]);
+        if (error) { fail(`${optionName}: ${error}`); }
+      }
+      return { name: preset.name, options: Object.assign({}, preset.options) };
+    });
+  }
+
+  // turns presets into the JSON of a presets file
+  function stringifyPresets(presets) {
+    return JSON.stringify({ version: presetsVersion, presets: presets }, null, 2);
+  }
+
+  let api = { builtInPresets, physicsOptions, createPreset, applyPreset, parsePresets, stringifyPresets };
+  if (nodeModule) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
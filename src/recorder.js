@@ -0,0 +1,207 @@
+// records the inputs of a running instance (bursts, launches, pointer pushes, option changes, clears, seeds, show cues) and replays
+// them frame by frame
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { fireCue } = nodeModule ? require('./timeline.js') : root.ParticleExplosions;
+
+  // a session looks like this:
+  // {
+  //   "version": 1,
+  //   "seed": 1234,                                   -> the seed the recording started from
+  //   "viewport": { "width": 1280, "height": 720, "dpr": 2 },
+  //   "options": { "particlesPerBurst": 50, ... },    -> every option at the start of the recording
+  //   "frames": [1, 0.55, 0.56, ...],                 -> the refreshThrottle of every recorded frame
+  //   "inputs": [
+  //     { "frame": 12, "time": 400.5, "type": "burst", "x": 0.5, "y": 0.25, "opts": {} },
+  //     { "frame": 40, "time": 1333.2, "type": "option", "name": "enableGlow", "value": false },
+  //     { "frame": 95, "time": 3170.9, "type": "overrides", "overrides": { "enableReflections": false } },
+  //     { "frame": 130, "time": 4336.1, "type": "cue", "cue": { "time": 2.5, "x": 0.5, "y": 0.3, "shell": true } }
+  //   ]
+  // }
+  // input positions are fractions of the viewport. "frame" is the number of frames that had been stepped when the input happened,
+  // and "time" is in milliseconds since the start of the recording. "overrides" inputs are the quality governor's doing (see
+  // ParticleExplosions.setOverrides()); they're recorded because fewer particles per burst changes what the simulation does. "cue"
+  // inputs are the cues of a show that was playing (see timeline.js), positions and all, and are fired the way the show fired them
+  const sessionVersion = 1;
+  const inputTypes = ['burst', 'launch', 'push', 'option', 'clear', 'seed', 'overrides', 'cue'];
+
+  // options that can't change on a running instance, so they are neither recorded nor replayed
+  const fixedOptions = ['dpr', 'interactive', 'worker', 'workerUrl', 'seed'];
+
+  //////////////////////////////////
+  //    Session Recorder Class    //
+  //////////////////////////////////
+  class SessionRecorder {
+    constructor(instance) {
+      this.instance = instance;
+      this.session = null;
+      this.startTime = 0;
+      this.unsubscribe = [];
+    }
+
+    get recording() {
+      return this.session !== null;
+    }
+
+    // starts a new recording. the instance is reset to its current seed first, which clears the canvas: a session doesn't hold the
+    // particles that were already in flight, so a replay can only match a recording that starts from an empty simulation
+    start() {
+      if (this.recording) { this.stop(); }
+      let instance = this.instance;
+      if (instance.worker) { throw new Error('Sessions can\'t be recorded while the simulation runs in a worker'); }
+      instance.setSeed(instance.getSeed());
+
+      let options = {};
+      for (let name in instance.options) {
+        if (!fixedOptions.includes(name)) { options[name] = instance.options[name]; }
+      }
+      this.session = {
+        version: sessionVersion,
+        seed: instance.getSeed(),
+        viewport: { width: instance.sim.width / instance.sim.dpr, height: instance.sim.height / instance.sim.dpr, dpr: instance.sim.dpr },
+        options: options,
+        frames: [],
+        inputs: []
+      };
+      this.startTime = performance.now();
+
+      this.unsubscribe = [
+        instance.on('frame', (refreshThrottle) => { this.session.frames.push(refreshThrottle); }),
+        instance.on('input', (input) => { this.record(input); })
+      ];
+      // quality that was already lowered when the recording started
+      if (Object.keys(instance.overrides).length > 0) { this.record({ type: 'overrides', overrides: Object.assign({}, instance.overrides) }); }
+    }
+
+    // stops recording and returns the finished session
+    stop() {
+      let session = this.session;
+      this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+      this.unsubscribe = [];
+      this.session = null;
+      return session;
+    }
+
+    record(input) {
+      // a show's cues fire while their frame is stepped, after its 'frame' event has already counted it, and are replayed before it
+      let frame = input.type == 'cue' ? this.session.frames.length - 1 : this.session.frames.length;
+      let entry = Object.assign({ frame: frame, time: performance.now() - this.startTime }, input);
+      if (entry.x !== undefined) {
+        entry.x /= this.session.viewport.width;
+        entry.y /= this.session.viewport.height;
+      }
+      this.session.inputs.push(entry);
+    }
+  }
+
+  //////////////////////////////////
+  //    Session Replayer Class    //
+  //////////////////////////////////
+  // feeds a recorded session back into an instance (see ParticleExplosions.replaySession()). the instance calls nextFrame() once per
+  // animation frame instead of measuring the frame time itself, so every frame is stepped exactly as it was recorded
+  class SessionReplayer {
+    constructor(instance, session) {
+      this.instance = instance;
+      this.session = parseSession(session);
+      this.frame = 0;
+      this.nextInput = 0;
+      this.viewportWarned = false;
+    }
+
+    get finished() {
+      return this.frame >= this.session.frames.length;
+    }
+
+    // input positions are fractions of the viewport, but shapes, obstacle radii and the like are in CSS pixels and the physics
+    // run in device pixels, so a replay at another size or DPR than the recording's plays out differently. warns about that once
+    checkViewport() {
+      let recorded = this.session.viewport;
+      let { width, height, dpr } = this.instance.viewport;
+      if (this.viewportWarned || (recorded.width == width && recorded.height == height && recorded.dpr == dpr)) { return; }
+      this.viewportWarned = true;
+      console.warn(`This session was recorded at ${recorded.width}x${recorded.height} (DPR ${recorded.dpr}) and is replayed at ` +
+        `${width}x${height} (DPR ${dpr}), so it won't match the original`);
+    }
+
+    // applies the inputs that happened before this frame and returns the frame's refreshThrottle
+    nextFrame() {
+      let inputs = this.session.inputs;
+      while (this.nextInput < inputs.length && inputs[this.nextInput].frame <= this.frame) {
+        this.apply(inputs[this.nextInput]);
+        this.nextInput++;
+      }
+      return this.session.frames[this.frame++];
+    }
+
+    apply(input) {
+      let instance = this.instance;
+      let width = instance.sim.width / instance.sim.dpr;
+      let height = instance.sim.height / instance.sim.dpr;
+      switch (input.type) {
+        case 'burst':
+          instance.burst(input.x * width, input.y * height, input.opts);
+        break;
+        case 'launch':
+          instance.launch(input.x * width, input.y * height, input.opts);
+        break;
+        case 'push':
+          instance.push(input.x * width, input.y * height);
+        break;
+        case 'option':
+          instance.setOption(input.name, input.value);
+        break;
+        case 'clear':
+          instance.clear();
+        break;
+        case 'seed':
+          instance.setSeed(input.seed);
+        break;
+        case 'overrides':
+          instance.setOverrides(input.overrides);
+        break;
+        case 'cue':
+          fireCue(instance.sim, input.cue);
+        break;
+      }
+    }
+  }
+
+  // validates a session (an object or a JSON string). throws on anything a replay couldn't use
+  function parseSession(session) {
+    if (typeof session == 'string') { session = JSON.parse(session); }
+    if (!session || session.version !== sessionVersion) { throw new Error(`Unsupported session; expected version ${sessionVersion}`); }
+    if (!Array.isArray(session.frames) || !session.frames.every((frame) => typeof frame == 'number' && frame >= 0)) {
+      throw new Error('A session needs a "frames" array of refreshThrottle values');
+    }
+    if (!Array.isArray(session.inputs)) { throw new Error('A session needs an "inputs" array'); }
+    session.inputs.forEach((input, i) => {
+      if (!input || !inputTypes.includes(input.type)) { throw new Error(`Session input ${i}: unknown type`); }
+      if (!(input.frame >= 0)) { throw new Error(`Session input ${i}: frame must be a number >= 0`); }
+    });
+    if (!session.options || typeof session.options != 'object') { throw new Error('A session needs an "options" object'); }
+    let viewport = session.viewport;
+    if (!viewport || !(viewport.width > 0 && viewport.height > 0 && viewport.dpr > 0)) {
+      throw new Error('A session needs a "viewport" with its width, height and dpr');
+    }
+    return session;
+  }
+
+  // offers a session as a JSON file download. browser only
+  function downloadSession(session, filename = `particle-explosions-${session.seed}.json`) {
+    let url = URL.createObjectURL(new Blob([JSON.stringify(session)], { type: 'application/json' }));
+    let link = document.createElement('A');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  let api = { SessionRecorder, SessionReplayer, parseSession, downloadSession };
+  if (nodeModule) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
@@ -0,0 +1,578 @@
+// draws a Simulation's particle groups to a set of canvases. the canvases are passed in, so the renderer itself never touches the document
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { getPalette, getColorEvolution, evolveColor } = nodeModule ? require('./palettes.js') : root.ParticleExplosions;
+
+  // how finely renderPalette() tells colors apart: the steps a lifetime's color evolution and fade are rounded to
+  const colorStages = 16;
+  const alphaStages = 8;
+  // how much lighter (toward white) each width of particle is drawn, thickest first. the same steps renderHidden() takes
+  const tierLift = [0, 0.47, 0.8];
+  // trails (see fadeTrails()) fade by at least this share of their alpha at a time, since a smaller share rounds away at faint
+  // alphas, and the pixels a step would leave at fadeFloor or fainter are cleared instead
+  const fadeFloor = 16;
+  const fadeMinStep = 1 / fadeFloor;
+
+  //////////////////////////
+  //    Renderer Class    //
+  //////////////////////////
+  // handles drawing functions for particle groups and particles. contains the canvas and context that will be used for drawing
+  class Renderer {
+    // sim supplies the viewport size and DPR; options holds the rendering settings (enableGlow, enableReflections, persistStrokes,
+    // trailLength, showForces, showObstacles, showDebug, palette, colorEvolution, fadeOut)
+    // canvases holds the main, hidden, reflection and glow canvases (see Renderer.createCanvases())
+    constructor(sim, options, canvases) {
+      this.sim = sim;
+      this.options = options;
+      this.renderQueue = [];
+      this.clearTimer = 0;
+      this.groupColors = new WeakMap();   // each group's palette colors, worked out when its palette or hue changes
+      this.buckets = [];                  // renderPalette()'s slots, by style
+      this.usedBuckets = [];
+      this.lastImage = null;    // the hidden canvas's image as of the last frame, which trails fade from (see fadeTrails())
+      this.fadeCarry = 0;       // how far trails have yet to fade, as the log of the alpha share they'll be scaled by
+      this.idleTicks = 0;       // how long it's been since anything was drawn
+      this.passTimes = { hidden: 0, reflect: 0, visible: 0, overlay: 0 };   // how long (ms) each pass of the last render() took
+
+      // primary canvas for drawing
+      this.canvas = canvases.canvas;
+      this.ctx = this.canvas.getContext('2d', {willReadFrequently: true});
+
+      // canvas for efficient offscreen rendering
+      this.hiddenCanvas = canvases.hiddenCanvas;
+      this.hiddenCtx = this.hiddenCanvas.getContext('2d', {willReadFrequently: true});
+
+      // canvas for rendering reflections
+      this.reflectCanvas = canvases.reflectCanvas;
+      this.reflectCtx = this.reflectCanvas.getContext('2d', {willReadFrequently: true});
+
+      // canvas for rendering main canvas glow
+      this.glowCanvas = canvases.glowCanvas;
+      this.glowCtx = this.glowCanvas.getContext('2d');
+
+      this.resizeCanvases();
+    }
+
+    // creates the four canvases a renderer draws to. the hidden canvas stays detached; the other three are appended to the container
+    static createCanvases(container) {
+      let doc = container.ownerDocument;
+      let canvases = {
+        canvas: doc.createElement('CANVAS'),
+        hiddenCanvas: doc.createElement('CANVAS'),
+        reflectCanvas: doc.createElement('CANVAS'),
+        glowCanvas: doc.createElement('CANVAS')
+      };
+
+      canvases.canvas.className = 'particle-explosions-canvas';
+      canvases.reflectCanvas.className = 'particle-explosions-reflect';
+      canvases.reflectCanvas.style.zIndex = '-2';
+      canvases.glowCanvas.className = 'particle-explosions-glow';
+      canvases.glowCanvas.style.filter = 'blur(2px) brightness(1.1) contrast(1.2)';
+      canvases.glowCanvas.style.zIndex = '-1';
+
+      // the visible canvases are stretched over the container; their backing stores are sized in device pixels by the renderer
+      for (let canvas of [canvases.reflectCanvas, canvases.glowCanvas, canvases.canvas]) {
+        canvas.style.position = 'absolute';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        container.appendChild(canvas);
+      }
+      return canvases;
+    }
+
+    // matches every canvas to the simulation's DPR-adjusted viewport size. resizing a canvas wipes it, so with keepImage the
+    // current drawings are stretched onto the resized canvases (persisted strokes would otherwise be lost on every resize)
+    resizeCanvases(keepImage = false) {
+      let canvases = [this.canvas, this.hiddenCanvas, this.reflectCanvas, this.glowCanvas];
+      let snapshots = keepImage ? canvases.map(copyCanvas) : [];
+      for (let canvas of canvases) {
+        canvas.width = this.sim.width;
+        canvas.height = this.sim.height;
+      }
+      this.lastImage = null;
+      snapshots.forEach((snapshot, i) => {
+        if (snapshot) { canvases[i].getContext('2d').drawImage(snapshot, 0, 0, this.sim.width, this.sim.height); }
+      });
+      // resizing a canvas resets its context state
+      this.hiddenCtx.lineCap = 'round';
+      this.reflectCtx.lineCap = 'round';
+    }
+
+    // clears the canvas. called only if "persist strokes" is off.
+    clear() {
+      let { width, height } = this.sim;
+      this.ctx.clearRect(0, 0, width, height);
+      this.hiddenCtx.clearRect(0, 0, width, height);
+      this.reflectCtx.clearRect(0, 0, width, height);
+      this.glowCtx.clearRect(0, 0, width, height);
+      this.lastImage = null;
+    }
+
+    // fades the hidden and reflection canvases by a frame's worth of their trails (see the trailLength option). a 'destination-out'
+    // fill scales a pixel's color and alpha alike, as the browser keeps them (premultiplied), so a fading pixel keeps its hue;
+    // reading pixels back and lowering their alpha instead rounds the colors of faint pixels to a few levels, which shifts them.
+    // the fill only fades by fadeMinStep or more at once, with the rest carried over to the next frame, since the rounding would
+    // hold pixels in place at smaller shares, and what would be left at fadeFloor or fainter is cleared, so trails always go away
+    // (in trailLength ticks, at any frame rate). the visible and glow canvases are copies of the hidden one, so they fade alike
+    fadeTrails(refreshThrottle) {
+      let { width, height } = this.sim;
+      if (!this.options.enableGlow) { this.glowCtx.clearRect(0, 0, width, height); }   // nothing copies to it while glow is off
+      let reflecting = this.sim.enableFloor && this.options.enableReflections;
+      if (!reflecting) { this.reflectCtx.clearRect(0, 0, width, height); }
+
+      // full alpha gets down to fadeFloor in trailLength ticks, with two steps to spare: for what is still carried over then, and
+      // for what the rounding of the fill holds pixels back by
+      this.fadeCarry += (Math.log(255 / fadeFloor) - (2 * Math.log(1 - fadeMinStep))) * refreshThrottle / this.options.trailLength;
+      let share = Math.round((1 - Math.exp(-this.fadeCarry)) * 255) / 255;   // the fill's alpha is 8 bits as well
+      if (share < fadeMinStep) { return; }
+      this.fadeCarry += Math.log(1 - share);
+
+      // the image renderVisible() read back last frame is what the hidden canvas still holds, so it doesn't need reading again
+      fadeCanvas(this.hiddenCtx, width, height, this.lastImage, share);
+      this.lastImage = null;
+      if (reflecting) { fadeCanvas(this.reflectCtx, width, height, null, share); }
+    }
+
+    // whether there's still a trail fading out, so frames need rendering even once no group is left to draw
+    isFading() {
+      return !this.options.persistStrokes && this.options.trailLength > 0 && this.idleTicks < this.options.trailLength;
+    }
+
+    // a helper method that gathers particle groups into a queue to be rendered, instead of looping over all particle groups (and particles) every time
+    enqueue(groupToRender) {
+      this.renderQueue.push(groupToRender);
+    }
+
+    // draw to offscreen canvas first; this image can be copied onto the visible canvases (regular and glow canvases)
+    // particles are read straight from the pool's arrays (see pool.js). nothing allocates while rendering, so the arrays stay put
+    renderHidden() {
+      let ctx = this.hiddenCtx;
+      let dpr = this.sim.dpr;
+      let { x, y, prevX, prevY, zSpeed, lifetime } = this.sim.pool;
+      let drawBehind = null;    // whether the context currently draws behind what's already there (null until first set)
+      for (let i = 0; i < this.renderQueue.length; i++) {
+        // shift the particleGroup off the render queue. this method exits when the render queue is empty
+        let pGroup = this.renderQueue[i];
+        // a group that finished this frame has nothing left to draw, and its slots may already belong to another group
+        if (!pGroup.rendering) { continue; }
+        if (this.usesPalette(pGroup)) {
+          this.renderPalette(ctx, pGroup, false);
+          drawBehind = null;
+          continue;
+        }
+        let { slots, count } = pGroup;
+        let subgroupSize = Math.ceil(count / 3);
+        let currentSubgroup = 1;
+        let nextSubgroupAt = 1;   // where the next subgroup starts. walks the same boundaries as Math.ceil(j / subgroupSize) + 1 would
+        let lastSubGroup = 1;
+        let lineScale = pGroup.pattern.lineScale || 1;    // some burst patterns (palm) draw thicker particles
+
+        // set initial values for the context; these are the values when (currentSubgroup == 1)
+        ctx.beginPath();
+        ctx.lineWidth = 3 * dpr * lineScale;
+        ctx.strokeStyle = `hsl(${pGroup.hue}, 100%, 50%)`;
+
+        // loop through the queued group's particles
+        for (let j = 0; j < count; j++) {
+          // set context line width and stroke style only as needed, depending on the current subgroup
+          if (j == nextSubgroupAt) {
+            currentSubgroup++;
+            nextSubgroupAt += subgroupSize;
+          }
+          if (currentSubgroup != lastSubGroup) {
+            // if the subgroup has changed, close the last path before opening the next
+            ctx.stroke();
+            ctx.beginPath();
+
+            // 4 - currentSubgroup will equal either 2 or 1 (a size of 3 is already taken care of by the context draw styles outside the loop)
+            // "4 - " is used to make sure that smaller particles are tied to higher lightness
+            ctx.lineWidth = (4 - currentSubgroup) * dpr * lineScale;
+            // hue is a group value, and lightness is between 45 + 16.6667 and 95. coinciding with size, larger particles are more deeply colored (lightness closer to 50)
+            ctx.strokeStyle = `hsl(${pGroup.hue}, 100%, ${40 + ((50 / 3) * currentSubgroup)}%)`;
+          }
+
+          let slot = slots[j];
+          
+          if (lifetime[slot] <= 0) { continue; }
+          
+          // this guarantees that lower z-index particles are never drawn on top of higher ones. the composite operation is only
+          // assigned when it changes, since setting it is quite expensive
+          if ((zSpeed[slot] < 0) !== drawBehind) {
+            drawBehind = zSpeed[slot] < 0;
+            ctx.globalCompositeOperation = drawBehind ? 'destination-over' : 'source-over';
+          }
+
+          ctx.moveTo(prevX[slot], prevY[slot]);
+          ctx.lineTo(x[slot], y[slot]);
+
+          // only stroke here if the particle drawing subgroup changed; otherwise, this is a polyline
+          if (currentSubgroup != lastSubGroup) {
+            ctx.beginPath();
+            lastSubGroup = currentSubgroup;
+          }
+        }
+
+        // catches the last open path after the loop ends (because currentSubgroup is still equal to lastSubGroup at that point)
+        ctx.stroke();
+      }
+    }
+
+    renderReflect() {
+      let ctx = this.reflectCtx;
+      let dpr = this.sim.dpr;
+      let offset = 3 * dpr;   // reflections are drawn a little below the particle's mirrored position
+      let { x, y, z, prevX, prevY, prevZ, zSpeed, lifetime } = this.sim.pool;
+      let drawBehind = null;
+      for (let i = 0; i < this.renderQueue.length; i++) {
+        // shift the particleGroup off the render queue. this method exits when the render queue is empty
+        let pGroup = this.renderQueue[i];
+        if (!pGroup.rendering) { continue; }
+        if (this.usesPalette(pGroup)) {
+          this.renderPalette(ctx, pGroup, true);
+          drawBehind = null;
+          continue;
+        }
+        let { slots, count } = pGroup;
+        let subgroupSize = Math.ceil(count / 3);
+        let currentSubgroup = 1;
+        let nextSubgroupAt = 1;   // where the next subgroup starts. walks the same boundaries as Math.ceil(j / subgroupSize) + 1 would
+        let lastSubGroup = 1;
+        let lineScale = pGroup.pattern.lineScale || 1;
+
+        // set initial values for the context; these are the values when (currentSubgroup == 1)
+        ctx.beginPath();
+        ctx.lineWidth = 3 * dpr * lineScale;
+        ctx.strokeStyle = `hsl(${pGroup.hue}, 70%, 60%)`;
+
+        // loop through the queued group's particles
+        for (let j = 0; j < count; j++) {
+          // set context line width and stroke style only as needed, depending on the current subgroup
+          if (j == nextSubgroupAt) {
+            currentSubgroup++;
+            nextSubgroupAt += subgroupSize;
+          }
+          if (currentSubgroup != lastSubGroup) {
+            ctx.stroke();
+            ctx.beginPath();
+
+            // 4 - currentSubgroup will equal either 2 or 1 (a size of 3 is already taken care of by the context draw styles outside the loop)
+            // "4 - " is used to make sure that smaller particles are tied to higher lightness
+            ctx.lineWidth = (4 - currentSubgroup) * dpr * lineScale;
+            // hue is a group value, and lightness is between 45 + 16.6667 and 95. coinciding with size, larger particles are more deeply colored (lightness closer to 50)
+            ctx.strokeStyle = `hsl(${pGroup.hue}, 70%, ${40 + ((30 / 3) * currentSubgroup)}%)`;
+          }
+
+          let slot = slots[j];
+          
+          if (lifetime[slot] <= 0) { continue; }
+          
+          if ((zSpeed[slot] < 0) !== drawBehind) {
+            drawBehind = zSpeed[slot] < 0;
+            ctx.globalCompositeOperation = drawBehind ? 'destination-over' : 'source-over';
+          }
+
+          ctx.moveTo(prevX[slot], prevY[slot] + ((prevZ[slot] - (prevY[slot] )) * 2) + offset);
+          ctx.lineTo(x[slot], y[slot] + ((z[slot] - (y[slot] )) * 2) + offset);
+
+          // only stroke here if the particle drawing subgroup changed; otherwise, this is a polyline
+          if (currentSubgroup != lastSubGroup) {
+            ctx.beginPath();
+            lastSubGroup = currentSubgroup;
+          }
+        }
+
+        // catches the last open path after the loop ends (because currentSubgroup is still equal to lastSubGroup at that point)
+        ctx.stroke();
+      }
+    }
+
+    // whether a group needs renderPalette(). groups in one random color that neither change color nor fade are drawn the way they
+    // always have been, by the faster loops above
+    usesPalette(pGroup) {
+      return (pGroup.palette || this.options.palette) != 'random' || this.options.colorEvolution != 'none' || this.options.fadeOut;
+    }
+
+    // the base colors of a group's palette, whether they sweep across it (see palettes.js), and the stroke styles made from them so
+    // far. worked out again whenever the group's palette or hue, or the color settings, change
+    paletteColors(pGroup) {
+      let palette = pGroup.palette || this.options.palette;
+      let { colorEvolution, fadeOut } = this.options;
+      let cached = this.groupColors.get(pGroup);
+      if (!cached || cached.palette !== palette || cached.hue !== pGroup.hue || cached.colorEvolution != colorEvolution || cached.fadeOut != fadeOut) {
+        let resolved = getPalette(palette);
+        let colors = resolved.colors(pGroup.hue);
+        cached = { palette, colorEvolution, fadeOut, hue: pGroup.hue, colors: colors, sweep: !!resolved.sweep, styles: [] };
+        this.groupColors.set(pGroup, cached);
+      }
+      return cached;
+    }
+
+    // the stroke style for a bucket of renderPalette(): its palette color, lightened for thinner particles, then aged to the bucket's
+    // stage and faded to its alpha. reflections get the softer colors renderReflect() uses
+    paletteStyle(base, tier, stage, alpha, reflect) {
+      let color = [base[0], base[1], base[2] + ((100 - base[2]) * tierLift[tier])];
+      let stops = getColorEvolution(this.options.colorEvolution);
+      if (stops) { evolveColor(stops, color.slice(), stage / (colorStages - 1), color); }
+      if (reflect) {
+        color[1] *= 0.7;
+        color[2] = 40 + (color[2] * 0.4);
+      }
+      return `hsla(${Math.round(color[0])}, ${Math.round(color[1])}%, ${Math.round(color[2])}%, ${alpha})`;
+    }
+
+    // draws a group in its palette's colors, to the hidden canvas or (mirrored, and in the softer colors of renderReflect()) to the
+    // reflection canvas. the group is split into three widths like in renderHidden(), and within each width particles take their
+    // palette colors in turn (or swept across it). with colorEvolution and fadeOut, a particle's color and alpha follow how far
+    // through its lifetime it is, rounded to a few steps so particles of the same style still share one path
+    renderPalette(ctx, pGroup, reflect) {
+      let dpr = this.sim.dpr;
+      let { x, y, z, prevX, prevY, prevZ, zSpeed, lifetime, age } = this.sim.pool;
+      let { colors, sweep, styles } = this.paletteColors(pGroup);
+      let stops = getColorEvolution(this.options.colorEvolution);
+      let stageCount = stops ? colorStages : 1;
+      let alphaCount = this.options.fadeOut ? alphaStages : 1;
+      let lineScale = pGroup.pattern.lineScale || 1;
+      let buckets = this.buckets;
+      let usedBuckets = this.usedBuckets;
+      let styleCount = colors.length * stageCount * alphaCount;   // per tier, for the main canvas and then for reflections
+      let drawBehind = null;
+
+      for (let tier = 0; tier < 3; tier++) {
+        let start = Math.floor(tier * pGroup.count / 3);
+        let end = Math.floor((tier + 1) * pGroup.count / 3);
+
+        // sort the tier's live particles into buckets of one style each: palette color, evolution stage, alpha and depth order
+        for (let j = start; j < end; j++) {
+          let slot = pGroup.slots[j];
+          if (lifetime[slot] <= 0) { continue; }
+          let colorIndex = sweep ? Math.floor((j - start) * colors.length / (end - start)) : j % colors.length;
+          let progress = Math.max(age[slot] / (age[slot] + lifetime[slot]), 0);   // 0 when born, nearly 1 when about to die
+          let stage = stops ? Math.min(Math.floor(progress * colorStages), colorStages - 1) : 0;
+          let alpha = this.options.fadeOut ? Math.max(Math.ceil(Math.min((1 - progress) / 0.35, 1) * alphaStages) - 1, 0) : 0;
+          let key = (((((colorIndex * stageCount) + stage) * alphaCount) + alpha) * 2) + (zSpeed[slot] < 0 ? 1 : 0);
+          let bucket = buckets[key] || (buckets[key] = []);
+          if (bucket.length == 0) { usedBuckets.push(key); }
+          bucket.push(slot);
+        }
+
+        ctx.lineWidth = (3 - tier) * dpr * lineScale;
+        for (let b = 0; b < usedBuckets.length; b++) {
+          let key = usedBuckets[b];
+          let bucket = buckets[key];
+          let behind = key % 2 == 1;
+          let style = (key >> 1) + (((tier * 2) + (reflect ? 1 : 0)) * styleCount);
+          if (!styles[style]) {
+            let alpha = ((key >> 1) % alphaCount) + 1;
+            let stage = Math.floor((key >> 1) / alphaCount) % stageCount;
+            styles[style] = this.paletteStyle(colors[Math.floor((key >> 1) / alphaCount / stageCount)], tier, stage, alpha / alphaCount, reflect);
+          }
+          ctx.strokeStyle = styles[style];
+          if (behind !== drawBehind) {
+            drawBehind = behind;
+            ctx.globalCompositeOperation = behind ? 'destination-over' : 'source-over';
+          }
+
+          ctx.beginPath();
+          for (let k = 0; k < bucket.length; k++) {
+            let slot = bucket[k];
+            if (reflect) {
+              ctx.moveTo(prevX[slot], prevY[slot] + ((prevZ[slot] - prevY[slot]) * 2) + (3 * dpr));
+              ctx.lineTo(x[slot], y[slot] + ((z[slot] - y[slot]) * 2) + (3 * dpr));
+            } else {
+              ctx.moveTo(prevX[slot], prevY[slot]);
+              ctx.lineTo(x[slot], y[slot]);
+            }
+          }
+          ctx.stroke();
+          bucket.length = 0;
+        }
+        usedBuckets.length = 0;
+      }
+    }
+
+    // render the visible canvas from the hidden one
+    renderVisible() {
+      let baseImgData = this.hiddenCtx.getImageData(0, 0, this.hiddenCanvas.width, this.hiddenCanvas.height);
+      this.ctx.putImageData(baseImgData, 0, 0);
+      if (this.options.enableGlow) { this.glowCtx.putImageData(baseImgData, 0, 0); }
+      this.lastImage = baseImgData;
+    }
+
+    // draws the force fields over the visible canvas (only; the hidden canvas is its source, so nothing of this persists or glows):
+    // a grid of short lines pointing the way a particle there would be pushed, longer for stronger forces (a line as long as the
+    // grid spacing is gravity's pull), and a ring around each force with a center, as far as its radius
+    renderForces() {
+      let ctx = this.ctx;
+      let { width, height, dpr, forceFields } = this.sim;
+      let spacing = 40 * dpr;
+      let reference = this.sim.gravity || dpr;
+      let acceleration = new Float64Array(2);
+
+      ctx.save();
+      ctx.lineWidth = dpr;
+      ctx.strokeStyle = 'rgba(130, 180, 255, 0.55)';
+      ctx.beginPath();
+      for (let x = spacing / 2; x < width; x += spacing) {
+        for (let y = spacing / 2; y < height; y += spacing) {
+          acceleration[0] = 0;
+          acceleration[1] = 0;
+          for (let f = 0; f < forceFields.length; f++) {
+            forceFields[f].accelerate(forceFields[f], x, y, acceleration);
+          }
+          let magnitude = Math.sqrt((acceleration[0] * acceleration[0]) + (acceleration[1] * acceleration[1]));
+          if (magnitude < reference / 100) { continue; }
+          let length = Math.min(magnitude / reference, 1) * spacing * 0.8;
+          ctx.moveTo(x, y);
+          ctx.lineTo(x + (acceleration[0] / magnitude * length), y + (acceleration[1] / magnitude * length));
+          ctx.rect(x - dpr, y - dpr, 2 * dpr, 2 * dpr);   // marks the tail, so the direction can be told apart
+        }
+      }
+      ctx.stroke();
+
+      ctx.setLineDash([4 * dpr, 4 * dpr]);
+      for (let f = 0; f < forceFields.length; f++) {
+        let field = forceFields[f];
+        if (field.radius === undefined) { continue; }
+        ctx.beginPath();
+        ctx.arc(field.x, field.y, field.radius, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // outlines the obstacles and walls over the visible canvas, like renderForces()
+    renderObstacles() {
+      let ctx = this.ctx;
+      let shapes = this.sim.obstacleShapes;
+      ctx.save();
+      ctx.lineWidth = 2 * this.sim.dpr;
+      ctx.strokeStyle = 'rgba(220, 230, 255, 0.6)';
+      ctx.beginPath();
+      for (let i = 0; i < shapes.length; i++) {
+        shapes[i].draw(shapes[i], ctx);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // draws what the debug option shows over the visible canvas, like renderForces(): the floor's band of depths (where particles
+    // land and bounce; see Simulation.depthY), every drawn group's origin as a cross, and its live particles' velocities as lines
+    // showing where they'd be three ticks on
+    renderDebug() {
+      let ctx = this.ctx;
+      let { width, height, dpr, floorY, depthY, enableFloor } = this.sim;
+      let { x, y, xSpeed, ySpeed, lifetime } = this.sim.pool;
+      ctx.save();
+      ctx.lineWidth = dpr;
+      if (enableFloor) {
+        ctx.fillStyle = 'rgba(255, 200, 80, 0.12)';
+        ctx.fillRect(0, depthY, width, height / 12);
+        ctx.strokeStyle = 'rgba(255, 200, 80, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(0, floorY);
+        ctx.lineTo(width, floorY);
+        ctx.stroke();
+      }
+
+      ctx.strokeStyle = 'rgba(120, 255, 160, 0.5)';
+      ctx.beginPath();
+      for (let i = 0; i < this.renderQueue.length; i++) {
+        let pGroup = this.renderQueue[i];
+        for (let j = 0; j < pGroup.count; j++) {
+          let slot = pGroup.slots[j];
+          if (lifetime[slot] <= 0) { continue; }
+          ctx.moveTo(x[slot], y[slot]);
+          ctx.lineTo(x[slot] + (xSpeed[slot] * 3), y[slot] + (ySpeed[slot] * 3));
+        }
+      }
+      ctx.stroke();
+
+      ctx.strokeStyle = 'rgba(255, 90, 200, 0.9)';
+      ctx.lineWidth = 2 * dpr;
+      ctx.beginPath();
+      for (let i = 0; i < this.renderQueue.length; i++) {
+        let pGroup = this.renderQueue[i];
+        if (pGroup.x === undefined) { continue; }   // shells have no origin of their own
+        ctx.moveTo(pGroup.x - (6 * dpr), pGroup.y);
+        ctx.lineTo(pGroup.x + (6 * dpr), pGroup.y);
+        ctx.moveTo(pGroup.x, pGroup.y - (6 * dpr));
+        ctx.lineTo(pGroup.x, pGroup.y + (6 * dpr));
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // draws particle groups that are currently rendering. with persistStrokes nothing is ever cleared, with a trailLength the last
+    // frames fade out, and otherwise every frame starts from blank canvases. each pass is timed into passTimes (see stats.js)
+    render(refreshThrottle = 1) {
+      let passTimes = this.passTimes;
+      let start = performance.now();
+      this.idleTicks = this.renderQueue.length > 0 ? 0 : this.idleTicks + refreshThrottle;
+      if (this.options.persistStrokes) {
+        this.fadeCarry = 0;
+      } else if (this.options.trailLength > 0) {
+        this.fadeTrails(refreshThrottle);
+      } else {
+        this.clear();
+      }
+      this.renderHidden();
+      let hidden = performance.now();
+      if (this.sim.enableFloor && this.options.enableReflections) { this.renderReflect(); }
+      let reflect = performance.now();
+      this.renderVisible();
+      let visible = performance.now();
+      if (this.options.showForces && this.sim.forceFields.length > 0) { this.renderForces(); }
+      if (this.options.showObstacles && this.sim.obstacleShapes.length > 0) { this.renderObstacles(); }
+      if (this.options.showDebug) { this.renderDebug(); }
+      let overlay = performance.now();
+      passTimes.hidden = hidden - start;
+      passTimes.reflect = reflect - hidden;
+      passTimes.visible = visible - reflect;
+      passTimes.overlay = overlay - visible;
+
+      this.renderQueue = [];    // empty the render queue every time
+    }
+  }
+
+  // fades a canvas by a share of its alpha (see fadeTrails()). image is what the canvas holds, if that's been read back already.
+  // the pixels that would be left at fadeFloor or fainter are cleared first. writing the image back leaves the rest as they were,
+  // since nothing about them changed
+  function fadeCanvas(ctx, width, height, image, share) {
+    image = image || ctx.getImageData(0, 0, width, height);
+    let data = image.data;
+    let keep = 1 - share;
+    let cleared = false;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] != 0 && data[i] * keep <= fadeFloor) {
+        data[i - 3] = data[i - 2] = data[i - 1] = data[i] = 0;
+        cleared = true;
+      }
+    }
+    if (cleared) { ctx.putImageData(image, 0, 0); }
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.globalAlpha = share;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+
+  // copies a canvas's current image onto a new, detached canvas. returns null for empty canvases
+  function copyCanvas(canvas) {
+    if (!canvas.width || !canvas.height) { return null; }
+    let copy = canvas.ownerDocument ? canvas.ownerDocument.createElement('CANVAS') : new OffscreenCanvas(canvas.width, canvas.height);
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+    return copy;
+  }
+
+  if (nodeModule) {
+    module.exports = { Renderer };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { Renderer });
+  }
+})(globalThis);
@@ -0,0 +1,67 @@
+// loaded as a plain <script> in the browser (exposed on the ParticleExplosions global) or through require() in Node
+(function (root) {
+  //////////////////////////
+  //      RNG Class       //
+  //////////////////////////
+  // Using a fixed set of RNG values dramatically improves processing time by preventing constant calls to Math.random()
+  // the queue is filled from a small seeded PRNG (mulberry32), so the same seed always produces the same chain of values
+  class RNG {
+    constructor(seed) {
+      this.iterator = 0;
+      this.queue = [];
+      this.reseed(seed);
+    }
+
+    // turns any seed (number or string) into an unsigned 32-bit integer. strings are hashed with FNV-1a
+    static normalizeSeed(seed) {
+      if (typeof seed == 'number' && isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+      }
+      if (typeof seed == 'string' && seed.length > 0) {
+        if (/^\d+$/.test(seed)) { return Number(seed) >>> 0; }
+        let hash = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+          hash ^= seed.charCodeAt(i);
+          hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+      }
+      // no usable seed was given, so pick one at random. this is the only place Math.random() is used
+      return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // refills the queue from the given seed and restarts the chain from the beginning
+    reseed(seed) {
+      this.seed = RNG.normalizeSeed(seed);
+      this.iterator = 0;
+      this.queue.length = 0;
+
+      let state = this.seed;
+      for (let i = 0; i < 65535; i++) {
+        // mulberry32
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        this.queue.push(((t ^ (t >>> 14)) >>> 0) / 4294967296);
+      }
+    }
+
+    // gets the next value in the RNG chain, wrapping back to the start of the queue once it has been used up
+    value() {
+      let value = this.queue[this.iterator];
+      this.iterator = this.iterator + 1 >= this.queue.length ? 0 : this.iterator + 1;
+      return value;
+    }
+
+    // moves the chain on by the given number of values without using them, as if value() had been called that many times
+    skip(count) {
+      this.iterator = (this.iterator + count) % this.queue.length;
+    }
+  }
+
+  if (typeof module == 'object' && module.exports) {
+    module.exports = { RNG };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { RNG });
+  }
+})(globalThis);
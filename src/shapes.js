@@ -0,0 +1,179 @@
+// shaped bursts: target points sampled from text or from an image's silhouette, which a burst's particles fly to, hold for a while
+// and then let go of (see the shape burst option and ParticleGroup.formShape() in simulation.js)
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { RNG } = nodeModule ? require('./rng.js') : root.ParticleExplosions;
+  const { parseColor } = nodeModule ? require('./palettes.js') : root.ParticleExplosions;
+
+  // a shape, as given in a burst's shape option, is a plain object, so it can be recorded and handed to a worker like any other:
+  //   points  -> required. the target points as a flat list, [x0, y0, x1, y1...], in CSS pixels from the burst's origin. the burst
+  //              has a particle for every point
+  //   colors  -> optional. a '#rrggbb' color for every point, which the particles are drawn in (unless the burst has a palette)
+  //   travel  -> optional. how long the particles take to reach their points, in 30fps ticks
+  //   hold    -> optional. how long they stay there before gravity takes over, in 30fps ticks
+  // textShape() and imageShape() make them; anything else that makes points works too
+  const defaults = {
+    count: 400,         // the particles (points) of the shape
+    width: 600,         // the shape is scaled to fit this box, in CSS pixels, keeping its proportions
+    height: 300,
+    travel: 30,
+    hold: 45
+  };
+  const maxPoints = 5000;
+  // the resolution shapes are sampled at: text is drawn this many pixels tall per line, and images are drawn at most this wide or tall
+  const textSize = 100;
+  const imageSize = 400;
+  // pixels at least this opaque (0 to 255) are part of the shape
+  const alphaThreshold = 128;
+
+  // why a shape can't be used, or null if it can
+  function checkShape(shape) {
+    if (!shape || typeof shape != 'object') { return 'must be an object'; }
+    let points = shape.points;
+    if (!Array.isArray(points) || points.length < 2 || points.length % 2 != 0) { return 'points must be a list of x, y pairs'; }
+    if (points.length / 2 > maxPoints) { return `can have at most ${maxPoints} points`; }
+    if (!points.every(Number.isFinite)) { return 'points must be numbers'; }
+    if (shape.colors !== undefined) {
+      if (!Array.isArray(shape.colors) || shape.colors.length != points.length / 2) { return 'colors must have a color for every point'; }
+      try {
+        shape.colors.forEach(parseColor);
+      } catch (error) {
+        return error.message;
+      }
+    }
+    if (shape.travel !== undefined && !(shape.travel >= 1)) { return 'travel must be a number of ticks >= 1'; }
+    if (shape.hold !== undefined && !(shape.hold >= 0)) { return 'hold must be a number of ticks >= 0'; }
+    return null;
+  }
+
+  // the shape of a text, e.g. textShape('HAPPY NEW YEAR'). lines can be split with '\n'. opts can set count, width, height, travel and
+  // hold (see defaults), font (a CSS font family, 'sans-serif' by default) and fontWeight ('bold' by default). needs a canvas to draw
+  // the text on, so it runs on a page or in a worker with OffscreenCanvas, not in Node
+  function textShape(text, opts = {}) {
+    let lines = String(text).split('\n');
+    let font = `${opts.fontWeight || 'bold'} ${textSize}px ${opts.font || 'sans-serif'}`;
+    let measure = createCanvas(1, 1).getContext('2d');
+    measure.font = font;
+    let lineHeight = Math.round(textSize * 1.2);
+    let width = Math.ceil(Math.max(...lines.map((line) => measure.measureText(line).width))) + 8;
+    let canvas = createCanvas(Math.max(width, 1), (lineHeight * lines.length) + 8);
+    let ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    lines.forEach((line, i) => ctx.fillText(line, canvas.width / 2, 4 + (lineHeight * (i + 0.5))));
+    return sampleShape(ctx, canvas.width, canvas.height, false, opts);
+  }
+
+  // the silhouette of an image (an <img> that has loaded, a canvas, an ImageBitmap...): its opaque pixels. with opts.colors, the
+  // particles also take the colors of the pixels they land on. takes the same opts as textShape() otherwise
+  function imageShape(image, opts = {}) {
+    let imageWidth = image.naturalWidth || image.videoWidth || image.width;
+    let imageHeight = image.naturalHeight || image.videoHeight || image.height;
+    if (!(imageWidth > 0 && imageHeight > 0)) { throw new Error('The image has no size (has it loaded yet?)'); }
+    let scale = Math.min(imageSize / Math.max(imageWidth, imageHeight), 1);
+    let canvas = createCanvas(Math.max(Math.round(imageWidth * scale), 1), Math.max(Math.round(imageHeight * scale), 1));
+    let ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return sampleShape(ctx, canvas.width, canvas.height, !!opts.colors, opts);
+  }
+
+  // picks opts.count points spread evenly over the opaque pixels of what's drawn on ctx: a grid is laid over them, just fine enough to
+  // have a point for every particle, and the points are then thinned out evenly to the exact count. they're shuffled (the same way
+  // every time), since the renderer draws a group's particles in three widths by their order, and those should mix over the shape
+  function sampleShape(ctx, width, height, withColors, opts) {
+    let count = Math.min(Math.max(Math.round(opts.count || defaults.count), 1), maxPoints);
+    let data = ctx.getImageData(0, 0, width, height).data;
+    let opaque = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = 0;
+    let maxY = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(((y * width) + x) * 4) + 3] < alphaThreshold) { continue; }
+        opaque++;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+    if (opaque == 0) { throw new Error('The shape has no opaque pixels to place particles on'); }
+
+    // a grid with one cell per particle would have about the right number of points on the shape. it's made finer until it has
+    // at least enough of them
+    let spacing = Math.max(Math.sqrt(opaque / count), 0.5);
+    let candidates = [];
+    for (let tries = 0; tries < 20; tries++) {
+      candidates = [];
+      for (let y = minY + (spacing / 2); y <= maxY + 0.5; y += spacing) {
+        for (let x = minX + (spacing / 2); x <= maxX + 0.5; x += spacing) {
+          let index = (Math.floor(y) * width) + Math.floor(x);
+          if (data[(index * 4) + 3] >= alphaThreshold) { candidates.push(index); }
+        }
+      }
+      if (candidates.length >= count) { break; }
+      spacing *= 0.85;
+    }
+    // a shape smaller than the count has a particle on every pixel, some of them more than one
+    let picked = [];
+    for (let i = 0; i < count; i++) {
+      picked.push(candidates.length >= count ? candidates[Math.floor(i * candidates.length / count)] : candidates[i % candidates.length]);
+    }
+    let rng = new RNG(1);
+    for (let i = picked.length - 1; i > 0; i--) {
+      let j = Math.floor(rng.value() * (i + 1));
+      [picked[i], picked[j]] = [picked[j], picked[i]];
+    }
+
+    let scale = Math.min((opts.width || defaults.width) / (maxX - minX + 1), (opts.height || defaults.height) / (maxY - minY + 1));
+    let centerX = (minX + maxX + 1) / 2;
+    let centerY = (minY + maxY + 1) / 2;
+    let shape = {
+      points: [],
+      travel: opts.travel !== undefined ? opts.travel : defaults.travel,
+      hold: opts.hold !== undefined ? opts.hold : defaults.hold
+    };
+    if (withColors) { shape.colors = []; }
+    for (let index of picked) {
+      let x = index % width;
+      let y = Math.floor(index / width);
+      shape.points.push(round((x + 0.5 - centerX) * scale), round((y + 0.5 - centerY) * scale));
+      if (withColors) { shape.colors.push(hexColor(data, index * 4)); }
+    }
+    let error = checkShape(shape);
+    if (error) { throw new Error(`The shape's ${error}`); }
+    return shape;
+  }
+
+  // a canvas to draw on: an OffscreenCanvas where there is one (workers, and most browsers), a <canvas> element otherwise
+  function createCanvas(width, height) {
+    if (typeof OffscreenCanvas == 'function') { return new OffscreenCanvas(width, height); }
+    if (typeof document == 'object') {
+      let canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    throw new Error('Shapes need a canvas to be drawn on, and there is none here');
+  }
+
+  // the pixel at offset of image data as '#rrggbb'
+  function hexColor(data, offset) {
+    return `#${[data[offset], data[offset + 1], data[offset + 2]].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  // points are kept to a tenth of a pixel, so recorded sessions with shapes stay small
+  function round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  let api = { checkShape, textShape, imageShape };
+  if (nodeModule) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
@@ -0,0 +1,260 @@
+// shared live canvases: every instance connected to the same relay (see server/relay.js) sets off the bursts of all the others too,
+// e.g. phones in a crowd tapping bursts onto one big display
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { RNG } = nodeModule ? require('./rng.js') : root.ParticleExplosions;
+  const { EventEmitter } = nodeModule ? require('./events.js') : root.ParticleExplosions;
+  const { getPatternNames } = nodeModule ? require('./patterns.js') : root.ParticleExplosions;
+  const { checkShape } = nodeModule ? require('./shapes.js') : root.ParticleExplosions;
+
+  // a burst goes through the relay as a message like this one:
+  // {
+  //   "type": "burst",
+  //   "version": 1,
+  //   "x": 0.4183, "y": 0.2875,        -> where, as fractions of the viewport
+  //   "hue": 212,
+  //   "seed": 3011924513,               -> the burst's own seed, so every instance makes the same particles (see particleBurst())
+  //   "settings": { "pattern": "ring", "count": 250, "crackle": 0.1, "palette": "random" },   -> and aim and shape, if it had them
+  //   "width": 1280,                    -> the sender's viewport width in CSS pixels. shapes are scaled by it to the receiver's
+  //   "time": 1767225600123             -> when it went off, by the relay's clock (ms since 1970)
+  // }
+  // the relay passes it on to every other instance as it is. the relay also answers { "type": "ping", "time" } with
+  // { "type": "pong", "time", "relayTime" }, which is how instances learn its clock, and tells everyone { "type": "peers", "count" }
+  // whenever an instance connects or leaves
+  const protocolVersion = 1;
+  const settingNames = ['pattern', 'count', 'crackle', 'palette', 'aim', 'shape'];
+  const maxCount = 5000;          // the most particlesPerBurst can be (see storage.js)
+  // a remote burst is started as far along as it got on the sender's screen while the message was underway, but no further than
+  // this (30fps ticks), so bursts that were held up don't come in all but over
+  const maxAdvance = 30;
+  const pingInterval = 5000;      // ms. the relay's clock is estimated from the fastest of the last pingSamples round trips
+  const pingSamples = 5;
+  const reconnectDelays = [1000, 2000, 5000, 10000];
+
+  ///////////////////////////////
+  //    Shared Canvas Class    //
+  ///////////////////////////////
+  // connects an instance to a relay at url (ws:// or wss://) until close(), reconnecting whenever the connection drops. the
+  // instance's bursts (burst() calls, which includes the pointer's) get a seed and hue of their own and are sent; shows, shells and
+  // auto bursts stay local. with opts.displayOnly nothing is sent, and the instance only shows the others' bursts: presses on it and
+  // its auto bursts are off until close(). events:
+  //   'open'   -> connected to the relay
+  //   'close'  -> the connection dropped (or was closed), and is retried unless close() was called
+  //   'peers'  -> the number of other instances connected to the relay changed; passes it
+  //   'remote' -> a remote burst went off; passes { x, y, hue, latency } (CSS pixels, and ms since it went off on the sender)
+  class SharedCanvas extends EventEmitter {
+    constructor(instance, url, opts = {}) {
+      super();
+      if (!root.WebSocket) { throw new Error('Shared canvases need WebSocket support'); }
+      this.instance = instance;
+      this.url = url;
+      this.displayOnly = !!opts.displayOnly;
+      this.socket = null;
+      this.closed = false;
+      this.receiving = false;     // set while a remote burst goes off, so it isn't sent back out
+      this.peers = 0;
+      this.clockOffset = 0;       // the relay's clock minus this one, in ms
+      this.latency = null;        // half the fastest recent round trip to the relay, in ms. null until the first pong
+      this.pings = [];            // { roundTrip, offset } of the last pingSamples pongs
+      this.attempts = 0;          // reconnection attempts since the connection was last open
+      this.pingTimer = null;
+      this.reconnectTimer = null;
+      if (instance.shared) { instance.shared.close(); }
+      instance.shared = this;
+      instance.applySettings();   // a display-only canvas turns the instance's auto bursts off
+      this.connect();
+    }
+
+    get connected() {
+      return !!this.socket && this.socket.readyState == root.WebSocket.OPEN;
+    }
+
+    connect() {
+      let socket = new root.WebSocket(this.url);
+      this.socket = socket;
+      socket.onopen = () => {
+        this.attempts = 0;
+        this.pings = [];
+        this.ping();
+        this.pingTimer = setInterval(() => this.ping(), pingInterval);
+        this.emit('open');
+      };
+      socket.onmessage = (e) => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch (error) {
+          return;
+        }
+        if (message && typeof message == 'object') { this.receive(message); }
+      };
+      // an error is always followed by a close, which is where it's handled
+      socket.onerror = () => {};
+      socket.onclose = () => {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+        this.socket = null;
+        this.peers = 0;
+        this.emit('close');
+        if (this.closed) { return; }
+        let delay = reconnectDelays[Math.min(this.attempts, reconnectDelays.length - 1)];
+        this.attempts++;
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          this.connect();
+        }, delay);
+      };
+    }
+
+    send(message) {
+      if (this.connected) { this.socket.send(JSON.stringify(message)); }
+    }
+
+    receive(message) {
+      switch (message.type) {
+        case 'burst':
+          this.replay(message);
+        break;
+        case 'pong':
+          this.sync(message);
+        break;
+        case 'peers':
+          if (!Number.isInteger(message.count)) { break; }
+          this.peers = Math.max(message.count - 1, 0);
+          this.emit('peers', this.peers);
+        break;
+      }
+    }
+
+    // called by the instance's burst() before the burst goes off. fills in everything the other instances need to make the same
+    // burst (its seed and hue, and the pattern, count, crackle and palette it gets from the instance's options), sends it, and
+    // returns the options the burst goes off with here
+    share(x, y, opts) {
+      let instance = this.instance;
+      if (this.receiving || this.displayOnly || instance.replayer || !this.connected) { return opts; }
+      let seed = opts.seed !== undefined ? opts.seed : RNG.normalizeSeed();
+      let hue = opts.hue !== undefined ? opts.hue : seed % 360;
+      let settings = {};
+      for (let name of settingNames) {
+        if (opts[name] !== undefined) { settings[name] = opts[name]; }
+      }
+      if (settings.pattern === undefined) {
+        let pattern = instance.getOption('pattern');
+        // the cycle is picked from by the seed instead, since every instance would be at a different point of its own
+        settings.pattern = pattern == 'cycle' ? getPatternNames()[seed % getPatternNames().length] : pattern;
+      }
+      if (settings.count === undefined && !settings.shape) { settings.count = instance.settings.particlesPerBurst; }
+      if (settings.crackle === undefined) { settings.crackle = instance.getOption('crackle'); }
+      // a shape's own colors are its palette, unless the burst was given one
+      if (settings.palette === undefined && !(settings.shape && settings.shape.colors)) { settings.palette = instance.getOption('palette'); }
+
+      let { width, height } = instance.viewport;
+      this.send({
+        type: 'burst',
+        version: protocolVersion,
+        x: round(x / width),
+        y: round(y / height),
+        hue: hue,
+        seed: seed,
+        settings: settings,
+        width: width,
+        time: Math.round(this.relayTime() - ((opts.advance || 0) * 1000 / 30))
+      });
+      return Object.assign({}, opts, settings, { hue: hue, seed: seed });
+    }
+
+    // sets off a burst another instance sent, started as far along as it has got there by now. bursts that can't be used are
+    // dropped with a warning, and so is everything while the instance replays a session or is paused (e.g. for an export)
+    replay(message) {
+      let instance = this.instance;
+      if (message.version !== protocolVersion || instance.replayer || instance.paused) { return; }
+      let { width, height } = instance.viewport;
+      let latency = this.relayTime() - message.time;
+      let x = message.x * width;
+      let y = message.y * height;
+      this.receiving = true;
+      try {
+        let opts = remoteBurstOptions(message, width);
+        opts.advance = Math.min(Math.max(latency * 30 / 1000, 0), maxAdvance);
+        instance.burst(x, y, opts);
+      } catch (error) {
+        console.warn(`Ignored a shared burst: ${error.message}`);
+        return;
+      } finally {
+        this.receiving = false;
+      }
+      this.emit('remote', { x: x, y: y, hue: message.hue, latency: latency });
+    }
+
+    ping() {
+      this.send({ type: 'ping', time: Date.now() });
+    }
+
+    // takes in a pong. the relay's clock read relayTime halfway through the round trip, give or take the difference between the
+    // two ways, which is smallest on the fastest round trips
+    sync(message) {
+      let roundTrip = Date.now() - message.time;
+      if (!(roundTrip >= 0) || !Number.isFinite(message.relayTime)) { return; }
+      this.pings.push({ roundTrip: roundTrip, offset: message.relayTime - (message.time + (roundTrip / 2)) });
+      if (this.pings.length > pingSamples) { this.pings.shift(); }
+      let fastest = this.pings.reduce((best, ping) => ping.roundTrip < best.roundTrip ? ping : best);
+      this.clockOffset = fastest.offset;
+      this.latency = fastest.roundTrip / 2;
+    }
+
+    // the relay's clock, as far as this instance can tell
+    relayTime() {
+      return Date.now() + this.clockOffset;
+    }
+
+    // disconnects for good, and takes the instance off the shared canvas
+    close() {
+      this.closed = true;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      if (this.socket) { this.socket.close(); }
+      if (this.instance.shared == this) {
+        this.instance.shared = null;
+        this.instance.applySettings();
+      }
+    }
+  }
+
+  // the burst options of a message from the relay, after checking everything the instance's burst() doesn't check itself. throws for
+  // messages that can't be used. shapes are scaled from the sender's viewport width to this one's
+  function remoteBurstOptions(message, width) {
+    if (!(message.x >= 0 && message.x <= 1 && message.y >= 0 && message.y <= 1)) { throw new Error('its position must be fractions of the viewport'); }
+    if (!Number.isFinite(message.hue) || !Number.isFinite(message.seed) || !Number.isFinite(message.time)) {
+      throw new Error('it needs a hue, a seed and a time');
+    }
+    let settings = message.settings;
+    if (!settings || typeof settings != 'object') { throw new Error('it needs settings'); }
+    let opts = { hue: message.hue, seed: message.seed };
+    for (let name of settingNames) {
+      if (settings[name] !== undefined) { opts[name] = settings[name]; }
+    }
+    if (opts.pattern !== undefined && !getPatternNames().includes(opts.pattern)) { throw new Error(`unknown burst pattern: ${opts.pattern}`); }
+    if (opts.count !== undefined && !(Number.isInteger(opts.count) && opts.count >= 1 && opts.count <= maxCount)) {
+      throw new Error(`its count must be an integer between 1 and ${maxCount}`);
+    }
+    if (opts.crackle !== undefined && !(opts.crackle >= 0 && opts.crackle <= 1)) { throw new Error('its crackle must be between 0 and 1'); }
+    if (opts.shape !== undefined) {
+      let error = checkShape(opts.shape);
+      if (error) { throw new Error(`its shape ${error}`); }
+      let scale = message.width > 0 && message.width < Infinity ? width / message.width : 1;
+      opts.shape = Object.assign({}, opts.shape, { points: opts.shape.points.map((value) => value * scale) });
+    }
+    return opts;
+  }
+
+  // positions are sent to a ten thousandth of the viewport, which is finer than a pixel on any screen
+  function round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  if (nodeModule) {
+    module.exports = { SharedCanvas };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { SharedCanvas });
+  }
+})(globalThis);
@@ -0,0 +1,902 @@
+// the simulation core. it has no DOM dependencies, so it can be stepped from a page, a worker or Node
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { RNG } = nodeModule ? require('./rng.js') : root.ParticleExplosions;
+  const { EventEmitter } = nodeModule ? require('./events.js') : root.ParticleExplosions;
+  const { getPattern, getPatternNames } = nodeModule ? require('./patterns.js') : root.ParticleExplosions;
+  const { ParticlePool, Particle } = nodeModule ? require('./pool.js') : root.ParticleExplosions;
+  const { getForce, pushField } = nodeModule ? require('./forces.js') : root.ParticleExplosions;
+  const { getEmitterType } = nodeModule ? require('./emitters.js') : root.ParticleExplosions;
+  const { getObstacle, wallShapes } = nodeModule ? require('./obstacles.js') : root.ParticleExplosions;
+
+  ////////////////////////////////
+  //    Particle Group Class    //
+  ////////////////////////////////
+  // Particles are grouped together, since all particles spawning from one burst are related in hue
+  // This also gives the opportunity to divvy up rendering operations a bit more
+  // the particles themselves live in the simulation's pool (see pool.js); a group only holds the slots of its particles
+  class ParticleGroup {
+    constructor(sim, x, y, hue, pattern, particlesPerBurst = sim.particlesPerBurst) {
+      this.sim = sim;
+      this.x = x;
+      this.y = y;
+      this.hue = Math.round(hue);
+      this.pattern = pattern;   // the burst pattern (see patterns.js) that shaped this group's particles
+      this.slots = new Int32Array(0);   // the pool slots of this group's particles. only the first `count` are in use
+      this.count = 0;
+      this.created = 0;         // the most particles this group has ever used (see respawn())
+      this.rendering = true;
+      this.parent = null;       // the shell or group this group was spawned from, if any
+      this.liveChildren = 0;    // groups spawned from this one (crackle) that haven't finished yet. the group isn't reused until this is 0
+      this.crackle = 0;         // the chance (0 to 1) that a dying particle of this group sets off a crackle sub-burst
+      this.palette = null;      // the palette this group is drawn in (see palettes.js), or null for the palette option's
+      this.shape = null;        // the shape (see shapes.js) the group's particles are forming, until they're let go (see formShape())
+
+      this.setParticleCount(pattern.count ? pattern.count(particlesPerBurst) : particlesPerBurst);
+      for (let i = 0; i < this.count; i++) {
+        sim.pool.reset(this.slots[i], x, y);
+      }
+      this.applyPattern();
+    }
+
+    // takes slots for `count` particles from the pool. the slots keep whatever values they had, so callers reset every one of them
+    setParticleCount(count) {
+      let pool = this.sim.pool;
+      if (count > this.slots.length) {
+        let slots = new Int32Array(count);
+        slots.set(this.slots);
+        this.slots = slots;
+      }
+      for (let i = 0; i < count; i++) {
+        this.slots[i] = pool.allocate();
+      }
+      this.created = Math.max(this.created, count);
+      this.count = count;
+    }
+
+    // hands the group's slots back to the pool. called once all of its particles have died
+    release() {
+      for (let i = 0; i < this.count; i++) {
+        this.sim.pool.release(this.slots[i]);
+      }
+    }
+
+    // the i-th particle of the group, as an object (see Particle in pool.js)
+    particle(i) {
+      return this.sim.pool.view(this.slots[i]);
+    }
+
+    // lets the group's pattern override the values each particle picked in ParticlePool.reset()
+    applyPattern() {
+      for (let i = 0; i < this.count; i++) {
+        this.pattern.init(this.particle(i), i, this.count, this.sim);
+      }
+    }
+
+    // bends the group's particle speeds into a cone around aim.angle (in radians; 0 points right and angles turn clockwise on screen)
+    // and speeds them up along it. aim.strength (0 to 1) narrows the cone from all the way around at 0 to about 30 degrees at 1.
+    // every particle keeps its place in the cone relative to the others, and no random values are drawn, so the pattern's shape
+    // survives and seeds replay the same
+    aim(aim) {
+      let { xSpeed, ySpeed } = this.sim.pool;
+      let narrowing = 1 - (0.85 * aim.strength);
+      let boost = 1 + (0.5 * aim.strength);
+      for (let i = 0; i < this.count; i++) {
+        let slot = this.slots[i];
+        let speed = Math.sqrt((xSpeed[slot] * xSpeed[slot]) + (ySpeed[slot] * ySpeed[slot]));
+        if (speed == 0) { continue; }
+        let offset = Math.atan2(ySpeed[slot], xSpeed[slot]) - aim.angle;
+        offset = Math.atan2(Math.sin(offset), Math.cos(offset));   // the short way around, between -PI and PI
+        let angle = aim.angle + (offset * narrowing);
+        xSpeed[slot] = Math.cos(angle) * speed * boost;
+        ySpeed[slot] = Math.sin(angle) * speed * boost;
+      }
+    }
+
+    // sends the particles off to the points of a shape (see shapes.js) around the group's origin, one particle per point: they fly
+    // there over shape.travel ticks, slowing down as they arrive, twinkle in place for shape.hold ticks, and are then let go into the
+    // usual physics, drifting off at a tenth of the speeds their pattern gave them. their lifetimes start once they're let go. no
+    // random values are drawn, so seeds replay the same
+    formShape(shape) {
+      let pool = this.sim.pool;
+      let dpr = this.sim.dpr;
+      let travel = shape.travel !== undefined ? shape.travel : 30;   // the defaults of shapes.js
+      let hold = shape.hold !== undefined ? shape.hold : 45;
+      this.shape = { travel: travel, hold: hold, time: 0 };
+      this.targets = new Float64Array(this.count * 2);          // offsets from the origin, in device pixels
+      this.releaseSpeeds = new Float64Array(this.count * 2);
+      for (let i = 0; i < this.count; i++) {
+        let slot = this.slots[i];
+        this.targets[i * 2] = shape.points[i * 2] * dpr;
+        this.targets[(i * 2) + 1] = shape.points[(i * 2) + 1] * dpr;
+        this.releaseSpeeds[i * 2] = pool.xSpeed[slot] * 0.1;
+        this.releaseSpeeds[(i * 2) + 1] = pool.ySpeed[slot] * 0.1;
+        pool.xSpeed[slot] = 0;
+        pool.ySpeed[slot] = 0;
+        pool.zSpeed[slot] = 0;
+        if (pool.lifetime[slot] > 0) { pool.lifetime[slot] += travel + hold; }
+        // the floor's depth has to stay below the particle's point, or it would bounce off it as soon as it's let go
+        pool.z[slot] = pool.prevZ[slot] = Math.max(pool.z[slot], this.y + this.targets[(i * 2) + 1] + dpr);
+      }
+    }
+
+    // moves the particles of a forming shape along for a step. the speeds are kept up to date with how they move, for anything that
+    // reads them, and once the shape is let go they're the drifting speeds from formShape()
+    stepShape(refreshThrottle) {
+      let { x, y, prevX, prevY, xSpeed, ySpeed, lifetime, age, airborne } = this.sim.pool;
+      let shape = this.shape;
+      let targets = this.targets;
+      shape.time += refreshThrottle;
+
+      if (shape.time >= shape.travel + shape.hold) {
+        for (let i = 0; i < this.count; i++) {
+          let slot = this.slots[i];
+          xSpeed[slot] = this.releaseSpeeds[i * 2];
+          ySpeed[slot] = this.releaseSpeeds[(i * 2) + 1];
+          airborne[slot] = 1;
+        }
+        this.shape = null;
+        return;
+      }
+
+      let progress = Math.min(shape.time / shape.travel, 1);
+      let eased = 1 - Math.pow(1 - progress, 3);
+      let twinkle = 0.6 * this.sim.dpr * eased;   // a wobble of a pixel or so, so holding particles still draw a stroke
+      for (let i = 0; i < this.count; i++) {
+        let slot = this.slots[i];
+        if (lifetime[slot] <= 0) { continue; }
+        lifetime[slot] -= refreshThrottle;
+        age[slot] += refreshThrottle;
+        let fromX = x[slot];
+        let fromY = y[slot];
+        prevX[slot] = fromX;
+        prevY[slot] = fromY;
+        x[slot] = this.x + (targets[i * 2] * eased) + (Math.sin((shape.time * 0.7) + i) * twinkle);
+        y[slot] = this.y + (targets[(i * 2) + 1] * eased) + (Math.cos((shape.time * 0.9) + (i * 1.7)) * twinkle);
+        xSpeed[slot] = (x[slot] - fromX) / refreshThrottle;
+        ySpeed[slot] = (y[slot] - fromY) / refreshThrottle;
+      }
+    }
+
+    // steps the group's particles ahead by the given number of ticks, one tick at a time, for a burst that went off elsewhere a while
+    // ago and has to catch up (see the advance option of particleBurst()). a group that ends while catching up ends like any other
+    advance(ticks) {
+      while (ticks > 0 && this.rendering) {
+        let step = Math.min(ticks, 1);
+        this.sim.stepGroup(this, step);
+        ticks -= step;
+      }
+    }
+
+    // a group can only be respawned once it has stopped rendering and every group spawned from it has finished too
+    isIdle() {
+      return !this.rendering && this.liveChildren == 0;
+    }
+
+    // links this group to the shell or group it was spawned from
+    setParent(parent) {
+      this.parent = parent || null;
+      if (this.parent) { this.parent.liveChildren++; }
+    }
+
+    // called when the group stops rendering or loses its last child. once both are done, the parent is told in turn
+    settle() {
+      if (!this.isIdle() || !this.parent) { return; }
+      let parent = this.parent;
+      this.parent = null;
+      parent.liveChildren--;
+      parent.settle();
+    }
+
+    // recalculates the hue on demand. used when the particle group is moved
+    recalculateHue() {
+      this.hue = Math.round(this.sim.rng.value() * 360);
+    }
+
+    // this method is called when a particle group is being reused. gathers all the main initialization logic together. exact makes
+    // the respawn draw the same random values as a new group would (a hue, then one reset per particle), whatever this group was
+    // used for before, which seeded bursts need. otherwise a group that grows past the most particles it has used also draws (and
+    // drops) one reset's worth of values per new particle first: before the pool, those were its new particle objects randomizing
+    // themselves, and seeds from then have to keep playing out the same
+    respawn(x, y, pattern, particlesPerBurst = this.sim.particlesPerBurst, exact = false) {
+      this.recalculateHue();
+      this.pattern = pattern;
+      this.shape = null;
+      let count = pattern.count ? pattern.count(particlesPerBurst) : particlesPerBurst;
+      if (!exact && count > this.created) { this.sim.pool.skipResets(count - this.created); }
+      this.setParticleCount(count);
+      this.x = x;
+      this.y = y;
+      this.rendering = true;
+      for (let i = 0; i < this.count; i++) {
+        this.sim.pool.reset(this.slots[i], x, y);
+      }
+      this.applyPattern();
+    }
+
+    // this method runs for all of a group's particles when it is still being rendered
+    // the pool's moveSlots() handles the specifics and math of each particle
+    stepParticles(refreshThrottle) {
+      let pool = this.sim.pool;
+      // a forming shape moves its particles itself, until they're let go on the step its hold ends
+      if (this.shape) {
+        this.stepShape(refreshThrottle);
+        if (this.shape) { return; }
+      }
+      let continueRendering = pool.moveSlots(this.slots, 0, this.count, refreshThrottle) > 0;
+
+      // secondary stage: some particles set off a small crackle burst where they die
+      if (this.crackle > 0) {
+        let died = pool.died.slice(0, pool.diedCount);   // copied, since the bursts move particles of their own
+        for (let i = 0; i < died.length; i++) {
+          if (this.sim.rng.value() < this.crackle) { this.sim.crackleBurst(died[i], this); }
+        }
+      }
+
+      if (!continueRendering) {
+        this.rendering = false;
+        this.release();
+      } else if (this.pattern.update) {
+        this.pattern.update(this, this.sim);
+      }
+    }
+  }
+
+  ///////////////////////
+  //    Shell Class    //
+  ///////////////////////
+  // a rocket that launches from the floor plane toward a target point, trailing sparks, and detonates into a particle group
+  // at its apex. it is drawn like a particle group: its first slot is the rocket itself and the rest are recycled trail sparks
+  // shells keep their pool slots for as long as they exist, since they are pooled themselves
+  class Shell {
+    constructor(sim) {
+      this.sim = sim;
+      this.hue = 0;
+      this.palette = null;
+      this.pattern = { lineScale: 1 };   // read by the renderer, like a particle group's pattern
+      this.rendering = false;
+      this.parent = null;                // shells are never spawned from anything, but share the group lifecycle
+      this.liveChildren = 0;             // becomes 1 once the shell has detonated, until its burst (and that burst's crackle) is done
+      this.burstOptions = {};            // pattern, crackle... passed to particleBurst() on detonation
+      this.sparkTimer = 0;
+      this.nextSpark = 1;
+      this.count = Shell.sparkCount + 1;
+      this.slots = new Int32Array(this.count);
+      for (let i = 0; i < this.count; i++) {
+        this.slots[i] = sim.pool.allocate();
+        sim.pool.reset(this.slots[i], 0, 0);
+        sim.pool.lifetime[this.slots[i]] = 0;
+      }
+      this.rocket = this.particle(0);
+    }
+
+    particle(i) {
+      return this.sim.pool.view(this.slots[i]);
+    }
+
+    isIdle() {
+      return !this.rendering && this.liveChildren == 0;
+    }
+
+    settle() {}
+
+    // launches from (x, y) on the floor plane. the launch speeds are picked so that the shell's apex is at (targetX, targetY)
+    launch(x, y, targetX, targetY, opts) {
+      let sim = this.sim;
+      let rocket = this.rocket;
+      // the rocket decelerates under gravity even when the floor (and with it particle gravity) is disabled
+      let gravity = Math.max(sim.gravity, 0.5 * sim.dpr);
+      let height = Math.max(y - targetY, sim.height / 10);
+      let ticksToApex = Math.sqrt(2 * height / gravity);
+
+      this.hue = opts.hue !== undefined ? Math.round(opts.hue) : Math.round(sim.rng.value() * 360);
+      this.palette = opts.palette !== undefined ? opts.palette : null;
+      this.burstOptions = opts;
+      this.targetY = y - height;
+      this.gravity = gravity;
+      this.rendering = true;
+      this.sparkTimer = 0;
+
+      rocket.x = rocket.prevX = x;
+      rocket.y = rocket.prevY = y;
+      rocket.z = rocket.prevZ = y;      // the rocket keeps the depth it launched from, so its reflection lines up with the launch point
+      rocket.xSpeed = (targetX - x) / ticksToApex;
+      rocket.ySpeed = -gravity * ticksToApex;
+      rocket.zSpeed = 0;
+      rocket.lifetime = Infinity;
+    }
+
+    // moves the rocket and its sparks. returns true on the step the rocket reaches its apex
+    step(refreshThrottle) {
+      let { x, y, prevX, prevY, xSpeed, ySpeed, lifetime } = this.sim.pool;
+      let rocket = this.slots[0];
+      let detonated = false;
+
+      if (lifetime[rocket] > 0) {
+        prevX[rocket] = x[rocket];
+        prevY[rocket] = y[rocket];
+        x[rocket] += xSpeed[rocket] * refreshThrottle;
+        y[rocket] += ySpeed[rocket] * refreshThrottle;
+        ySpeed[rocket] += this.gravity * refreshThrottle;
+
+        this.sparkTimer += refreshThrottle;
+        while (this.sparkTimer >= 0.5) {
+          this.sparkTimer -= 0.5;
+          this.emitSpark(rocket);
+        }
+
+        if (ySpeed[rocket] >= 0 || y[rocket] <= this.targetY) {
+          lifetime[rocket] = -1;
+          detonated = true;
+        }
+      }
+
+      let sparksAlive = this.sim.pool.moveSlots(this.slots, 1, this.count, refreshThrottle) > 0;
+      this.rendering = lifetime[rocket] > 0 || sparksAlive;
+      return detonated;
+    }
+
+    // drops a short-lived spark behind the rocket (its slot), reusing the trail's sparks in turn
+    emitSpark(rocket) {
+      let sim = this.sim;
+      let pool = sim.pool;
+      let spark = this.slots[this.nextSpark];
+      this.nextSpark = this.nextSpark + 1 >= this.count ? 1 : this.nextSpark + 1;
+
+      pool.reset(spark, pool.x[rocket], pool.y[rocket]);
+      pool.z[spark] = pool.prevZ[spark] = pool.z[rocket];
+      pool.xSpeed[spark] = (1.5 + (sim.rng.value() * -3)) * sim.dpr;
+      pool.ySpeed[spark] = (pool.ySpeed[rocket] * 0.15) + ((1 + (sim.rng.value() * -2)) * sim.dpr);
+      pool.zSpeed[spark] = 0;
+      pool.lifetime[spark] = 8 + Math.round(sim.rng.value() * 8);
+    }
+  }
+
+  Shell.sparkCount = 24;
+
+  //////////////////////////////////
+  //    Particle Emitter Class    //
+  //////////////////////////////////
+  // a fountain, roman candle, sparkler... (see emitters.js): a fixed point that keeps feeding particles in for as long as it's there
+  // and not paused. it is drawn like a particle group. instead of taking slots for a whole burst at once and handing them back once
+  // every particle has died, it holds enough slots for all the particles it can have out at once and recycles them one by one,
+  // oldest first, as new particles go out
+  class ParticleEmitter {
+    constructor(sim) {
+      this.sim = sim;
+      this.key = null;               // the emitters option entry this emitter was last configured from, as JSON
+      this.hue = 0;
+      this.palette = null;
+      this.pattern = { lineScale: 1 };   // read by the renderer, like a particle group's pattern
+      this.rendering = false;
+      this.paused = false;
+      this.slots = new Int32Array(0);
+      this.count = 0;
+      this.nextSlot = 0;             // the slot the next particle goes out in
+      this.emitTimer = 0;            // the particles due to go out, in fractions of one
+    }
+
+    // applies an entry of the emitters option. particles that are out stay out, so an emitter can be moved or changed while it runs
+    configure(emitter) {
+      let sim = this.sim;
+      let type = getEmitterType(emitter.type);
+      let value = (name) => emitter[name] !== undefined ? emitter[name] : type[name];
+      this.key = JSON.stringify(emitter);
+      this.x = emitter.x * sim.width;
+      this.y = emitter.y * sim.height;
+      this.rate = value('rate') / 30;                   // per tick
+      this.angle = value('angle') * Math.PI / 180;
+      this.spread = value('spread') * Math.PI / 180;
+      this.speed = value('speed');
+      this.hue = Math.round(value('hue'));
+      this.minLifetime = type.minLifetime;
+      this.maxLifetime = type.maxLifetime;
+      this.drag = type.drag || 1;
+      this.pattern = { lineScale: type.lineScale || 1 };
+      this.paused = !!emitter.paused;
+      if (!this.paused) { this.rendering = true; }
+      this.setCapacity(Math.ceil(this.rate * this.maxLifetime) + 1);
+    }
+
+    // takes more slots from the pool, when the emitter can have more particles out at once than it has slots. never shrinks
+    setCapacity(capacity) {
+      if (capacity <= this.count) { return; }
+      let slots = new Int32Array(capacity);
+      slots.set(this.slots);
+      for (let i = this.count; i < capacity; i++) {
+        slots[i] = this.sim.pool.allocate();
+        this.sim.pool.lifetime[slots[i]] = 0;
+      }
+      this.slots = slots;
+      this.count = capacity;
+    }
+
+    // hands the emitter's slots back to the pool. called once a removed emitter's last particles have died
+    release() {
+      for (let i = 0; i < this.count; i++) {
+        this.sim.pool.release(this.slots[i]);
+      }
+      this.count = 0;
+      this.slots = new Int32Array(0);
+    }
+
+    // feeds in the particles due this step, then moves every particle that's out
+    step(refreshThrottle) {
+      if (!this.paused) {
+        this.emitTimer += this.rate * refreshThrottle;
+        while (this.emitTimer >= 1) {
+          this.emitTimer -= 1;
+          this.emit();
+        }
+      }
+      let alive = this.sim.pool.moveSlots(this.slots, 0, this.count, refreshThrottle) > 0;
+      this.rendering = alive || !this.paused;
+    }
+
+    // sends a particle out in the emitter's cone, in the slot of its oldest particle (which may still be out, when the emitter's rate
+    // went up since its slots were counted)
+    emit() {
+      let sim = this.sim;
+      let pool = sim.pool;
+      let slot = this.slots[this.nextSlot];
+      this.nextSlot = (this.nextSlot + 1) % this.count;
+
+      pool.reset(slot, this.x, this.y);
+      let angle = this.angle + ((sim.rng.value() - 0.5) * this.spread);
+      let speed = this.speed * (0.85 + (sim.rng.value() * 0.3)) * sim.dpr;
+      pool.xSpeed[slot] = Math.sin(angle) * speed;
+      pool.ySpeed[slot] = -Math.cos(angle) * speed;
+      pool.lifetime[slot] = this.minLifetime + Math.round(sim.rng.value() * (this.maxLifetime - this.minLifetime));
+      pool.drag[slot] = this.drag;
+    }
+  }
+
+  // the secondary stage set off by dying particles: a few fast, short-lived sparks
+  const cracklePattern = {
+    count: () => 5,
+    lineScale: 0.5,
+    secondary: true,   // sparks of a burst rather than a burst of their own (see the crackle flag of the 'burst' event)
+    init(particle, index, count, sim) {
+      particle.xSpeed = (4 + (sim.rng.value() * -8)) * sim.dpr;
+      particle.ySpeed = (4 + (sim.rng.value() * -8)) * sim.dpr;
+      particle.lifetime = 6 + Math.round(sim.rng.value() * 8);
+    }
+  };
+
+  ////////////////////////////
+  //    Simulation Class    //
+  ////////////////////////////
+  // owns the particle groups, the RNG and every value the physics depends on. nothing in here touches the DOM,
+  // so the same simulation can be stepped by the page's animation loop or by a test script running in Node
+  // emits 'burst' whenever a particle group is (re)spawned (group.parent is set for detonations and crackle), 'launch' when a shell
+  // is launched, 'groupend' once all of a group's particles have died and 'bounce' ({ count, x, y }: how many particles bounced off
+  // the floor during a step, and where on average) after every step that had any
+  class Simulation extends EventEmitter {
+    constructor(config = {}) {
+      super();
+      this.rng = new RNG(config.seed);
+      this.burstRng = null;         // the RNG of seeded bursts, made on the first one (see particleBurst())
+      this.pool = new ParticlePool(this);
+      this.particleGroups = [];
+      this.shells = [];
+      this.newBurstTimer = 60;      // the timer that will allow new particle bursts to form automatically
+      this.patternCycle = 0;        // the index of the next pattern when bursts cycle through all registered patterns
+      this.time = 0;                // ticks stepped since the last reset. forces that change over time follow it
+      this.forceFields = [];        // this step's forces, in device pixels (see updateForceFields())
+      this.pointer = null;          // where the pointer push is, and how far it has moved since the last step (see push())
+      this.emitters = [];           // one ParticleEmitter for every entry of the emitters config, in order
+      this.retiredEmitters = [];    // removed emitters whose particles haven't all died yet
+      this.configure(Object.assign({}, Simulation.defaults, config));
+    }
+
+    // applies a (partial) config. gravity and air resistance are given in CSS pixels and scaled by the DPR here
+    configure(config) {
+      this.config = Object.assign({}, this.config, config);
+      let { width, height, dpr } = this.config;
+      this.dpr = dpr;
+      this.width = width * dpr;                                       // DPR-adjusted width/height
+      this.height = height * dpr;
+      this.floorY = this.height * this.config.floorLevel;             // the top of the reflective floor draw area
+      // particles land (and shells launch) in a depth band that starts 2/7 of the way into the floor area. at the default floor
+      // level that's 4/5 of the height, which is kept as the exact expression it always was, so seeds keep reproducing
+      this.depthY = this.config.floorLevel == Simulation.defaults.floorLevel ? 4 * this.height / 5 : this.floorY + ((this.height - this.floorY) * 2 / 7);
+      this.gravity = this.config.gravity * dpr;
+      this.airResistance = this.config.airResistance * dpr;
+      this.enableFloor = this.config.enableFloor;
+      this.autoBursts = this.config.autoBursts;
+      this.burstInterval = this.config.burstInterval;
+      this.particlesPerBurst = this.config.particlesPerBurst;
+      this.pattern = this.config.pattern;
+      this.useShells = this.config.shells;
+      this.crackle = this.config.crackle;
+      this.forces = this.config.forces;
+      this.bounce = this.config.bounce;
+      this.minLifetime = this.config.minLifetime;
+      this.maxLifetime = this.config.maxLifetime;
+      this.burstSpeedX = this.config.burstSpeedX;
+      this.burstSpeedY = this.config.burstSpeedY;
+      this.updateObstacleShapes();
+      this.updateEmitters();
+    }
+
+    // builds the shapes of the obstacles and the walls (see obstacles.js), in device pixels. obstacles without a bounce of their own
+    // bounce like the floor
+    updateObstacleShapes() {
+      let shapes = this.config.obstacles.map((obstacle) => {
+        let obstacleType = getObstacle(obstacle.type);
+        let shape = obstacleType.shape(obstacle, this);
+        shape.sweep = obstacleType.sweep;
+        shape.draw = obstacleType.draw;
+        shape.bounce = obstacle.bounce === undefined ? this.bounce : obstacle.bounce;
+        return shape;
+      });
+      this.obstacleShapes = shapes.concat(wallShapes(this.config.walls, this));
+    }
+
+    // matches the emitters to the emitters config (see emitters.js), which also places them for the current viewport. an emitter
+    // keeps its particles through a change, so each entry goes to the emitter that last had exactly that entry if there is one, and
+    // to one that lost its entry otherwise (one that was moved or changed). emitters left over were removed: they stop feeding
+    // particles in, and keep their slots until their last particles have died
+    updateEmitters() {
+      let entries = this.config.emitters;
+      let unmatched = this.emitters.slice();
+      let emitters = entries.map((entry) => {
+        let index = unmatched.findIndex((emitter) => emitter.key == JSON.stringify(entry));
+        return index >= 0 ? unmatched.splice(index, 1)[0] : null;
+      });
+      this.emitters = emitters.map((emitter) => emitter || unmatched.shift() || new ParticleEmitter(this));
+      this.emitters.forEach((emitter, i) => emitter.configure(entries[i]));
+      for (let emitter of unmatched) {
+        emitter.paused = true;
+        this.retiredEmitters.push(emitter);
+      }
+    }
+
+    // applies a change to one of the options an embedding instance passes through (see ParticleExplosions.setOption()).
+    // options the simulation doesn't use are ignored
+    applyOption(name, value) {
+      switch (name) {
+        case 'particlesPerBurst':
+          this.configure({ particlesPerBurst: value });
+          this.reset(this.rng.value() * 360);
+        break;
+        case 'autoBursts':
+          this.configure({ autoBursts: value });
+          this.newBurstTimer = 0;
+        break;
+        case 'enableFloor':
+        case 'pattern':
+        case 'shells':
+        case 'crackle':
+        case 'gravity':
+        case 'airResistance':
+        case 'forces':
+        case 'bounce':
+        case 'minLifetime':
+        case 'maxLifetime':
+        case 'burstSpeedX':
+        case 'burstSpeedY':
+        case 'floorLevel':
+        case 'walls':
+        case 'obstacles':
+        case 'emitters':
+          this.configure({ [name]: value });
+        break;
+      }
+    }
+
+    // changes the viewport size (in CSS pixels) and DPR without starting over. live particles keep their place relative to the
+    // viewport, so bursts keep their shape and particles on the floor stay on the (recomputed) floor band
+    resize(width, height, dpr = this.dpr) {
+      let scaleX = (width * dpr) / this.width;
+      let scaleY = (height * dpr) / this.height;
+      let speedScale = dpr / this.dpr;
+      this.configure({ width: width, height: height, dpr: dpr });
+      this.pointer = null;
+
+      // finished groups have already handed their slots back, and those may belong to another group by now
+      for (let i = 0; i < this.particleGroups.length; i++) {
+        let pGroup = this.particleGroups[i];
+        pGroup.x *= scaleX;
+        pGroup.y *= scaleY;
+        if (!pGroup.rendering) { continue; }
+        for (let j = 0; j < pGroup.count; j++) {
+          this.pool.rescale(pGroup.slots[j], scaleX, scaleY, speedScale);
+        }
+        // a forming shape keeps its size in CSS pixels, around the moved origin
+        if (pGroup.shape) {
+          for (let j = 0; j < pGroup.targets.length; j++) {
+            pGroup.targets[j] *= speedScale;
+            pGroup.releaseSpeeds[j] *= speedScale;
+          }
+        }
+      }
+      // a climbing shell still has to detonate at the same relative height
+      for (let i = 0; i < this.shells.length; i++) {
+        let shell = this.shells[i];
+        shell.targetY *= scaleY;
+        shell.gravity *= speedScale;
+        for (let j = 0; j < shell.count; j++) {
+          this.pool.rescale(shell.slots[j], scaleX, scaleY, speedScale);
+        }
+      }
+      // emitters were already placed for the new viewport by configure()
+      for (let emitter of this.emitters.concat(this.retiredEmitters)) {
+        for (let j = 0; j < emitter.count; j++) {
+          this.pool.rescale(emitter.slots[j], scaleX, scaleY, speedScale);
+        }
+      }
+    }
+
+    // looks up a burst pattern by name. 'cycle' steps through every registered pattern in turn. pattern objects are passed through
+    resolvePattern(name = this.pattern) {
+      if (typeof name == 'object') { return name; }
+      if (name == 'cycle') {
+        let names = getPatternNames();
+        name = names[this.patternCycle % names.length];
+        this.patternCycle = (this.patternCycle + 1) % names.length;
+      }
+      return getPattern(name);
+    }
+
+    // discards every particle group and starts over with a single burst in the upper middle of the viewport
+    reset(hue = 270) {
+      this.newBurstTimer = 60;
+      this.patternCycle = 0;
+      this.time = 0;
+      this.pointer = null;
+      this.pool.clear();
+      this.particleGroups = [new ParticleGroup(this, this.width / 2, this.height / 3, hue, this.resolvePattern())];
+      this.shells = [];
+      // the pool took back the emitters' slots too, so they start over empty
+      this.emitters = [];
+      this.retiredEmitters = [];
+      this.updateEmitters();
+    }
+
+    // this function tries to reuse an existing particle burst if it's not currently being rendered to save on extra object instantiations
+    // if it finds a currently-unused particle group, it changes its origin and respawns (re-randomizes) its particles
+    // if all particle bursts are already being used, it will instantiate another
+    // opts.hue overrides the random hue (the random value is still drawn, so the RNG chain stays the same either way)
+    // opts.pattern picks a burst pattern by name; the configured pattern is used otherwise
+    // opts.count overrides particlesPerBurst, opts.crackle overrides the configured crackle chance
+    // opts.palette overrides the palette option for this group (see palettes.js; it only matters to the renderer)
+    // opts.aim ({ angle, strength }) sends the burst off in a direction (see ParticleGroup.aim())
+    // opts.shape has the particles form a shape first, one particle per point, overriding opts.count (see shapes.js). its colors, if
+    // it has any, are the group's palette unless opts.palette is given. patterns with dormant particles give way to 'random' for it
+    // opts.seed draws the group's hue and particles from an RNG seeded with it instead of the simulation's, so the same seed makes
+    // the same burst in any simulation, whatever came before it (see sharing.js). what the group does later on, such as crackle,
+    // still comes from the simulation's RNG
+    // opts.advance steps the new group ahead by that many ticks right away, as if it had gone off that long ago
+    // and opts.parent links the group to the shell or group it came from
+    particleBurst(x, y, opts = {}) {
+      let pattern = this.resolvePattern(opts.pattern);
+      let count = opts.shape ? opts.shape.points.length / 2 : opts.count;
+      // a shape needs a live particle for every point, whatever count the pattern would pick
+      if (opts.shape && pattern.dormant) { pattern = getPattern('random'); }
+      if (opts.shape && pattern.count) { pattern = Object.assign({}, pattern, { count: null }); }
+      let rng = this.rng;
+      if (opts.seed !== undefined) {
+        if (this.burstRng) {
+          this.burstRng.reseed(opts.seed);
+        } else {
+          this.burstRng = new RNG(opts.seed);
+        }
+        this.rng = this.burstRng;
+      }
+      let pGroup = null;
+      for (let i = 0; i < this.particleGroups.length; i++) {
+        if (this.particleGroups[i].isIdle()) {
+          pGroup = this.particleGroups[i];
+          pGroup.respawn(x, y, pattern, count, opts.seed !== undefined);
+          break;
+        }
+      }
+      if (!pGroup) {
+        pGroup = new ParticleGroup(this, x, y, this.rng.value() * 360, pattern, count);
+        this.particleGroups.push(pGroup);
+      }
+      if (opts.hue !== undefined) { pGroup.hue = Math.round(opts.hue); }
+      if (opts.aim) { pGroup.aim(opts.aim); }
+      if (opts.shape) { pGroup.formShape(opts.shape); }
+      pGroup.crackle = opts.crackle !== undefined ? opts.crackle : this.crackle;
+      pGroup.palette = opts.palette !== undefined ? opts.palette : (opts.shape && opts.shape.colors) || null;
+      pGroup.setParent(opts.parent);
+      this.rng = rng;
+      this.emit('burst', pGroup);
+      if (opts.advance > 0) { pGroup.advance(opts.advance); }
+      return pGroup;
+    }
+
+    // launches a shell from the floor plane toward (x, y), where it detonates into a burst. takes the same opts as particleBurst()
+    // shells are pooled like particle groups, and only reused once their burst (and everything it spawned) has finished
+    launchShell(x, y, opts = {}) {
+      let shell = null;
+      for (let i = 0; i < this.shells.length; i++) {
+        if (this.shells[i].isIdle()) {
+          shell = this.shells[i];
+          break;
+        }
+      }
+      if (!shell) {
+        shell = new Shell(this);
+        this.shells.push(shell);
+      }
+
+      // launch from the same depth band particles bounce on, a little to the side of the target
+      let launchX = Math.min(Math.max(x + ((0.5 - this.rng.value()) * this.width / 10), 0), this.width);
+      let launchY = this.depthY + Math.round(this.rng.value() * this.height / 12);
+      shell.launch(launchX, launchY, x, y, opts);
+      this.emit('launch', shell);
+      return shell;
+    }
+
+    // sets off a crackle sub-burst where a particle (a pool slot) of the given group died
+    crackleBurst(slot, parentGroup) {
+      let x = this.pool.x[slot];
+      let y = this.pool.y[slot];
+      if (x < 0 || x > this.width || y > this.height) { return; }
+      this.particleBurst(x, y, { hue: parentGroup.hue, palette: parentGroup.palette, pattern: cracklePattern, crackle: 0, parent: parentGroup });
+    }
+
+    // procedurally generate particles if the user isn't interacting
+    autoPopulate() {
+      let x = 100 + (this.rng.value() * (this.width / 2)) + (this.width / 4);
+      let y = 100 + (this.rng.value() * (2 * this.height / 3));
+      return this.useShells ? this.launchShell(x, y) : this.particleBurst(x, y);
+    }
+
+    // advances the simulation by one frame. refreshThrottle is the frame duration in 30fps ticks (1 = 1/30s)
+    // returns the particle groups that were stepped, which are the ones that need to be drawn this frame
+    step(refreshThrottle) {
+      this.time += refreshThrottle;
+      this.pool.bounceCount = 0;
+      this.pool.bounceXSum = 0;
+      this.pool.bounceYSum = 0;
+      this.updateForceFields(refreshThrottle);
+
+      // if autobursts are enabled and the newBurstTimer timer has reached zero, autopopulate
+      if (this.autoBursts) {
+        if (this.newBurstTimer > 0) {
+          this.newBurstTimer -= refreshThrottle;
+        } else {
+          this.autoPopulate();
+          this.newBurstTimer = this.burstInterval;
+        }
+      }
+
+      let stepped = [];
+
+      // shells go first, so a detonation's burst is stepped (and drawn) in the same frame
+      for (let i = 0; i < this.shells.length; i++) {
+        let shell = this.shells[i];
+        if (!shell.rendering) { continue; }
+        let burstOptions = shell.burstOptions;
+        if (shell.step(refreshThrottle)) {
+          let rocket = shell.rocket;
+          this.particleBurst(rocket.x, rocket.y, Object.assign({}, burstOptions, { hue: shell.hue, parent: shell }));
+        }
+        stepped.push(shell);
+      }
+
+      for (let i = 0; i < this.particleGroups.length; i++) {
+        let pGroup = this.particleGroups[i];
+        // if a particle group is still rendering (it has at least one particle with a lifetime > 0), update its particles' positions
+        if (pGroup.rendering) {
+          this.stepGroup(pGroup, refreshThrottle);
+          stepped.push(pGroup);
+        }
+      }
+
+      for (let i = 0; i < this.emitters.length; i++) {
+        this.emitters[i].step(refreshThrottle);
+        if (this.emitters[i].rendering) { stepped.push(this.emitters[i]); }
+      }
+      for (let i = this.retiredEmitters.length - 1; i >= 0; i--) {
+        let emitter = this.retiredEmitters[i];
+        emitter.step(refreshThrottle);
+        if (emitter.rendering) {
+          stepped.push(emitter);
+        } else {
+          emitter.release();
+          this.retiredEmitters.splice(i, 1);
+        }
+      }
+
+      let pool = this.pool;
+      if (pool.bounceCount > 0) {
+        this.emit('bounce', { count: pool.bounceCount, x: pool.bounceXSum / pool.bounceCount, y: pool.bounceYSum / pool.bounceCount });
+      }
+      return stepped;
+    }
+
+    // steps a rendering group's particles, and once they've all died, says so and lets the group (and what it came from) settle
+    stepGroup(pGroup, refreshThrottle) {
+      pGroup.stepParticles(refreshThrottle);
+      if (!pGroup.rendering) {
+        this.emit('groupend', pGroup);
+        pGroup.settle();
+      }
+    }
+
+    // builds this step's force fields from the forces config, plus the pointer push if the pointer has moved since the last step
+    updateForceFields(refreshThrottle) {
+      let fields = [];
+      for (let i = 0; i < this.forces.length; i++) {
+        let forceType = getForce(this.forces[i].type);
+        let field = forceType.field(this.forces[i], this);
+        field.accelerate = forceType.accelerate;
+        fields.push(field);
+      }
+      let pointer = this.pointer;
+      if (pointer) {
+        if (pointer.dx != 0 || pointer.dy != 0) { fields.push(pushField(pointer, this, refreshThrottle)); }
+        pointer.dx = 0;
+        pointer.dy = 0;
+        pointer.idle += refreshThrottle;
+      }
+      this.forceFields = fields;
+    }
+
+    // moves the pointer push to (x, y), in device pixels. particles near the pointer get shoved along with its movement on the next
+    // step. a pointer that hasn't moved for a few ticks starts over, so it doesn't fling particles across whatever gap it jumped
+    push(x, y) {
+      let pointer = this.pointer;
+      if (pointer && pointer.idle < 5) {
+        pointer.dx += x - pointer.x;
+        pointer.dy += y - pointer.y;
+      } else {
+        pointer = this.pointer = { dx: 0, dy: 0 };
+      }
+      pointer.x = x;
+      pointer.y = y;
+      pointer.idle = 0;
+    }
+
+    // the number of particles that are still alive, across all groups
+    liveParticleCount() {
+      let count = 0;
+      let groups = this.particleGroups.concat(this.shells);
+      for (let i = 0; i < groups.length; i++) {
+        let pGroup = groups[i];
+        if (!pGroup.rendering) { continue; }
+        for (let j = 0; j < pGroup.count; j++) {
+          if (this.pool.lifetime[pGroup.slots[j]] > 0) { count++; }
+        }
+      }
+      return count;
+    }
+  }
+
+  Simulation.defaults = {
+    width: 800,               // viewport size in CSS pixels
+    height: 600,
+    dpr: 1,
+    gravity: 1.7,             // pretty self-explanatory, but this feels like a good value
+    airResistance: 0.002,     // particles slow down by this factor the longer they are in the air
+    enableFloor: true,        // toggles gravity and bouncing off the reflective floor
+    floorLevel: 0.72,         // where the floor starts, as a fraction of the height
+    bounce: 0.6,              // the share of a particle's speed it keeps when it bounces off the floor
+    minLifetime: 60,          // particles live between these many ticks (random bursts; some patterns pick their own)
+    maxLifetime: 90,
+    burstSpeedX: 11,          // random bursts start particles at up to this speed (CSS pixels per tick) either way, on each axis
+    burstSpeedY: 16,
+    autoBursts: true,         // set off a burst automatically every burstInterval if nothing else has
+    burstInterval: 60,        // the time between auto bursts, in 30fps ticks (60 = two seconds)
+    particlesPerBurst: 50,
+    pattern: 'random',        // the burst pattern name (see patterns.js), or 'cycle' to step through all of them
+    shells: false,            // auto bursts launch shells from the floor instead of exploding in place
+    crackle: 0,               // the chance (0 to 1) that a dying particle sets off a crackle sub-burst
+    forces: [],               // wind, attractors, repulsors, vortices... (see forces.js)
+    walls: {},                // the side walls and ceiling particles bounce off, e.g. { left: 0.8, right: 0.8, ceiling: 0.5 }
+    obstacles: [],            // lines and circles particles bounce off (see obstacles.js)
+    emitters: [],             // fountains, roman candles, sparklers... (see emitters.js)
+    seed: undefined           // undefined picks a random seed
+  };
+
+  if (nodeModule) {
+    module.exports = { Simulation, ParticleGroup, Particle, Shell, ParticleEmitter };
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, { Simulation, ParticleGroup, Shell, ParticleEmitter });
+  }
+})(globalThis);
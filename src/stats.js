@@ -0,0 +1,190 @@
+// frame statistics: how long frames take and where that time goes, and how many particles and groups there are, for tuning on
+// devices (see getStats() and the showStats option of ParticleExplosions)
+(function (root) {
+  // the timings of a frame, in milliseconds. frameTime is the time since the last frame; stepTime the simulation's step; the rest are
+  // the renderer's passes (see Renderer.render()), 0 on frames with nothing to draw. overlayTime covers forces, obstacles and debug
+  const timings = ['frameTime', 'stepTime', 'hiddenTime', 'reflectTime', 'visibleTime', 'overlayTime'];
+  // how many frames the averages, maximums and sparklines look back over
+  const historyLength = 120;
+
+  // one frame's stats. sim and renderer are the ones that ran the frame; times holds frameTime and stepTime, and rendered whether
+  // the renderer drew this frame (it skips frames with nothing to draw or fade). counting the live particles takes a look at every
+  // slot of the pool, so it's only done with countParticles (while the stats panel is shown); particles is null otherwise
+  function sampleFrame(sim, renderer, refreshThrottle, times, rendered, countParticles) {
+    let passes = rendered ? renderer.passTimes : {};
+    let drawing = 0;
+    for (let i = 0; i < sim.particleGroups.length; i++) {
+      if (sim.particleGroups[i].rendering) { drawing++; }
+    }
+    return {
+      frameTime: times.frameTime,
+      refreshThrottle: refreshThrottle,
+      stepTime: times.stepTime,
+      hiddenTime: passes.hidden || 0,
+      reflectTime: passes.reflect || 0,
+      visibleTime: passes.visible || 0,
+      overlayTime: passes.overlay || 0,
+      particles: countParticles ? sim.pool.liveCount() : null,   // particles in flight
+      poolSize: sim.pool.size,               // pool slots taken, by live particles and the groups and emitters holding on to theirs
+      poolCapacity: sim.pool.capacity,
+      groups: sim.particleGroups.length,     // particle groups ever created. particleBurst() reuses idle ones, so this only grows
+      drawingGroups: drawing,
+      shells: sim.shells.length,
+      emitters: sim.emitters.length
+    };
+  }
+
+  //////////////////////////////
+  //    Frame Stats Class     //
+  //////////////////////////////
+  // keeps the last frame's stats, and the timings of the last historyLength frames in ring buffers
+  class FrameStats {
+    constructor(length = historyLength) {
+      this.latest = null;
+      this.count = 0;             // frames recorded, up to the history's length
+      this.next = 0;              // where the next frame's timings go
+      this.history = {};
+      for (let name of timings) { this.history[name] = new Float64Array(length); }
+    }
+
+    record(sample) {
+      this.latest = sample;
+      for (let name of timings) { this.history[name][this.next] = sample[name]; }
+      this.next = (this.next + 1) % this.history.frameTime.length;
+      this.count = Math.min(this.count + 1, this.history.frameTime.length);
+    }
+
+    // a timing's values over the recorded frames, oldest first
+    values(name) {
+      let history = this.history[name];
+      if (this.count < history.length) { return history.slice(0, this.count); }
+      let values = new Float64Array(history.length);
+      values.set(history.subarray(this.next));
+      values.set(history.subarray(0, this.next), history.length - this.next);
+      return values;
+    }
+
+    // the last frame's stats, plus the average and maximum of every timing over the recorded frames. null before the first frame
+    summary() {
+      if (!this.latest) { return null; }
+      let average = {};
+      let max = {};
+      for (let name of timings) {
+        let values = this.values(name);
+        average[name] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        max[name] = values.reduce((most, value) => Math.max(most, value), 0);
+      }
+      return Object.assign({}, this.latest, { frames: this.count, average: average, max: max });
+    }
+
+    clear() {
+      this.latest = null;
+      this.count = 0;
+      this.next = 0;
+    }
+  }
+
+  ///////////////////////////////
+  //    Stats Overlay Class    //
+  ///////////////////////////////
+  // a small panel in the container's lower left corner with the last frame's numbers and sparklines of the frame, step and render times. it's
+  // a canvas of its own on the page, so it works the same when the simulation runs in a worker
+  class StatsOverlay {
+    constructor(container, stats, dpr) {
+      this.stats = stats;
+      this.dpr = dpr;
+      this.width = 260;           // CSS pixels
+      this.height = 150;
+      this.canvas = container.ownerDocument.createElement('CANVAS');
+      this.canvas.className = 'stats-overlay';
+      this.canvas.style.width = `${this.width}px`;
+      this.canvas.style.height = `${this.height}px`;
+      this.canvas.width = this.width * dpr;
+      this.canvas.height = this.height * dpr;
+      this.ctx = this.canvas.getContext('2d');
+      container.appendChild(this.canvas);
+    }
+
+    draw() {
+      let stats = this.stats.summary();
+      let ctx = this.ctx;
+      ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+      ctx.clearRect(0, 0, this.width, this.height);
+      ctx.fillStyle = 'rgba(20, 20, 20, 0.8)';
+      ctx.fillRect(0, 0, this.width, this.height);
+      if (!stats) { return; }
+
+      let ms = (value) => value.toFixed(1);
+      let renderTime = stats.hiddenTime + stats.reflectTime + stats.visibleTime + stats.overlayTime;
+      let lines = [
+        `frame ${ms(stats.frameTime)} ms (avg ${ms(stats.average.frameTime)}, max ${ms(stats.max.frameTime)})  rt ${stats.refreshThrottle.toFixed(2)}`,
+        `step ${ms(stats.stepTime)}  hidden ${ms(stats.hiddenTime)}  reflect ${ms(stats.reflectTime)}`,
+        `visible ${ms(stats.visibleTime)}  overlays ${ms(stats.overlayTime)} ms`,
+        `particles ${stats.particles === null ? '-' : stats.particles}  pool ${stats.poolSize} / ${stats.poolCapacity}`,
+        `groups ${stats.groups} (${stats.drawingGroups} drawing)  shells ${stats.shells}  emitters ${stats.emitters}`
+      ];
+      ctx.fillStyle = 'rgb(220, 220, 220)';
+      ctx.font = '10px monospace';
+      ctx.textBaseline = 'top';
+      lines.forEach((line, i) => ctx.fillText(line, 6, 5 + (i * 13)));
+
+      let top = 74;
+      let render = this.stats.values('hiddenTime');
+      for (let name of ['reflectTime', 'visibleTime', 'overlayTime']) {
+        this.stats.values(name).forEach((value, i) => { render[i] += value; });
+      }
+      this.sparkline('frame', this.stats.values('frameTime'), top, 'rgb(120, 220, 120)');
+      this.sparkline('step', this.stats.values('stepTime'), top + 25, 'rgb(120, 180, 255)');
+      this.sparkline(`render ${ms(renderTime)}`, render, top + 50, 'rgb(255, 180, 90)');
+    }
+
+    // a timing's recent values as a line, 22px tall, scaled so two 60fps frame budgets (33ms) fill it unless something took longer.
+    // a faint line marks one frame budget (16.7ms)
+    sparkline(label, values, top, color) {
+      let ctx = this.ctx;
+      let left = 70;
+      let width = this.width - left - 6;
+      let height = 22;
+      let scale = Math.max(1000 / 30, ...values);
+      ctx.fillStyle = 'rgb(160, 160, 160)';
+      ctx.fillText(label, 6, top + 6);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(left, top + height - (height * (1000 / 60) / scale));
+      ctx.lineTo(left + width, top + height - (height * (1000 / 60) / scale));
+      ctx.stroke();
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      let length = this.stats.history.frameTime.length;
+      let step = width / (length - 1);
+      for (let i = 0; i < values.length; i++) {
+        let x = left + ((length - values.length + i) * step);
+        let y = top + height - (height * values[i] / scale);
+        if (i == 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      ctx.stroke();
+    }
+
+    setDpr(dpr) {
+      this.dpr = dpr;
+      this.canvas.width = this.width * dpr;
+      this.canvas.height = this.height * dpr;
+    }
+
+    destroy() {
+      this.canvas.remove();
+    }
+  }
+
+  let api = { FrameStats, StatsOverlay, sampleFrame };
+  if (typeof module == 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
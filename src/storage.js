@@ -0,0 +1,237 @@
+// keeps options across visits: validates and restores them from localStorage and from URL query strings (for shareable links)
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { getPattern } = nodeModule ? require('./patterns.js') : root.ParticleExplosions;
+  const { getForce } = nodeModule ? require('./forces.js') : root.ParticleExplosions;
+  const { getPalette, getColorEvolution } = nodeModule ? require('./palettes.js') : root.ParticleExplosions;
+  const { checkEmitter } = nodeModule ? require('./emitters.js') : root.ParticleExplosions;
+  const { checkObstacle, checkWalls } = nodeModule ? require('./obstacles.js') : root.ParticleExplosions;
+
+  // the options that can be stored and linked, and the values each accepts. creation options (dpr, interactive, worker, workerUrl)
+  // are up to whoever creates the instance. seeds can be linked but aren't stored, so every visit doesn't replay the same bursts
+  const optionSchema = {
+    particlesPerBurst: { type: 'integer', min: 1, max: 5000 },
+    pattern: { type: 'pattern' },
+    autoBursts: { type: 'boolean' },
+    shells: { type: 'boolean' },
+    crackle: { type: 'number', min: 0, max: 1 },
+    enableFloor: { type: 'boolean' },
+    enableGlow: { type: 'boolean' },
+    enableReflections: { type: 'boolean' },
+    persistStrokes: { type: 'boolean' },
+    trailLength: { type: 'number', min: 0, max: 300 },
+    adaptiveQuality: { type: 'boolean' },
+    gravity: { type: 'number', min: -10, max: 20 },
+    airResistance: { type: 'number', min: 0, max: 0.5 },
+    bounce: { type: 'number', min: 0, max: 1.5 },
+    minLifetime: { type: 'number', min: 1, max: 1000 },
+    maxLifetime: { type: 'number', min: 1, max: 1000 },
+    burstSpeedX: { type: 'number', min: 0, max: 100 },
+    burstSpeedY: { type: 'number', min: 0, max: 100 },
+    floorLevel: { type: 'number', min: 0.3, max: 0.95 },
+    forces: { type: 'forces' },
+    emitters: { type: 'emitters' },
+    walls: { type: 'walls' },
+    obstacles: { type: 'obstacles' },
+    showObstacles: { type: 'boolean' },
+    pointerPush: { type: 'boolean' },
+    dragToAim: { type: 'boolean' },
+    holdToCharge: { type: 'boolean' },
+    showForces: { type: 'boolean' },
+    palette: { type: 'palette' },
+    colorEvolution: { type: 'colorEvolution' },
+    fadeOut: { type: 'boolean' },
+    sound: { type: 'boolean' },
+    volume: { type: 'number', min: 0, max: 1 },
+    showStats: { type: 'boolean' },
+    showDebug: { type: 'boolean' },
+    seed: { type: 'seed', linkOnly: true }
+  };
+  const storageVersion = 1;
+
+  // why a value can't be used for an option, or null if it can. presets and ParticleExplosions.setOption() check values with this too
+  function checkOptionValue(name, value) {
+    let schema = optionSchema[name];
+    if (!schema) { return 'unknown option'; }
+    switch (schema.type) {
+      case 'boolean':
+        return typeof value == 'boolean' ? null : 'must be true or false';
+      case 'integer':
+      case 'number':
+        if (!Number.isFinite(value) || (schema.type == 'integer' && !Number.isInteger(value))) { return `must be ${schema.type == 'integer' ? 'an integer' : 'a number'}`; }
+        return value >= schema.min && value <= schema.max ? null : `must be between ${schema.min} and ${schema.max}`;
+      case 'pattern':
+        if (value == 'cycle') { return null; }
+        try {
+          getPattern(value);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      case 'palette':
+        if (typeof value != 'string' && !Array.isArray(value)) { return 'must be a palette name or a list of colors'; }
+        try {
+          getPalette(value);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      case 'colorEvolution':
+        try {
+          getColorEvolution(value);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      case 'forces':
+        if (!Array.isArray(value)) { return 'must be an array of forces'; }
+        for (let force of value) {
+          if (!force || typeof force != 'object') { return 'must be an array of forces'; }
+          try {
+            getForce(force.type);
+          } catch (error) {
+            return error.message;
+          }
+          for (let key in force) {
+            if (key != 'type' && !Number.isFinite(force[key])) { return `a ${force.type} force's ${key} must be a number`; }
+          }
+        }
+        return null;
+      case 'emitters':
+        if (!Array.isArray(value)) { return 'must be an array of emitters'; }
+        for (let emitter of value) {
+          let error = checkEmitter(emitter);
+          if (error) { return error; }
+        }
+        return null;
+      case 'walls':
+        return checkWalls(value);
+      case 'obstacles':
+        if (!Array.isArray(value)) { return 'must be an array of obstacles'; }
+        for (let obstacle of value) {
+          let error = checkObstacle(obstacle);
+          if (error) { return error; }
+        }
+        return null;
+      case 'seed':
+        return (typeof value == 'string' && value.length > 0 && value.length <= 200) || Number.isFinite(value) ? null : 'must be a number or text';
+    }
+  }
+
+  // keeps the options whose values can be used. returns them, and an error message for every one that was dropped
+  function validateOptions(options) {
+    let valid = {};
+    let errors = [];
+    for (let name in options) {
+      let error = checkOptionValue(name, options[name]);
+      if (error) {
+        errors.push(`${name}: ${error}`);
+      } else {
+        valid[name] = options[name];
+      }
+    }
+    return { options: valid, errors: errors };
+  }
+
+  // turns a query string value into the option's type. whatever doesn't parse is passed through as text, for checkOptionValue() to reject
+  function parseValue(name, text) {
+    switch (optionSchema[name].type) {
+      case 'boolean':
+        if (text == '' || text == '1' || text == 'true') { return true; }
+        if (text == '0' || text == 'false') { return false; }
+        return text;
+      case 'integer':
+      case 'number':
+        return text.trim() == '' ? text : Number(text);
+      case 'forces':
+      case 'emitters':
+      case 'walls':
+      case 'obstacles':
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          return text;
+        }
+      case 'palette':
+        if (!text.startsWith('[')) { return text; }   // a palette name. lists of colors are JSON
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          return text;
+        }
+      default:
+        return text;
+    }
+  }
+
+  // reads the options out of a query string (e.g. '?particlesPerBurst=1000&enableGlow=0'). parameters that aren't options (such as a
+  // page's own flags) are left alone; options with values that can't be used are dropped and reported in errors
+  function decodeOptions(search) {
+    let params = new URLSearchParams(search);
+    let options = {};
+    for (let [name, text] of params) {
+      if (name in optionSchema) { options[name] = parseValue(name, text); }
+    }
+    return validateOptions(options);
+  }
+
+  // the query string for the options that differ from the defaults, e.g. to share a link to the current configuration
+  function encodeOptions(options, defaults) {
+    let params = new URLSearchParams();
+    for (let name in optionSchema) {
+      let value = options[name];
+      if (optionSchema[name].linkOnly || value === undefined || JSON.stringify(value) == JSON.stringify(defaults[name])) { continue; }
+      if (typeof value == 'boolean') {
+        params.set(name, value ? '1' : '0');
+      } else {
+        params.set(name, typeof value == 'object' ? JSON.stringify(value) : String(value));
+      }
+    }
+    let query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  // reads the options stored under key in a Storage (e.g. localStorage). a missing or unreadable entry gives no options
+  function loadOptions(storage, key) {
+    let stored;
+    try {
+      stored = JSON.parse(storage.getItem(key));
+    } catch (error) {
+      return { options: {}, errors: [`unreadable stored options: ${error.message}`] };
+    }
+    if (!stored) { return { options: {}, errors: [] }; }
+    if (stored.version !== storageVersion || !stored.options || typeof stored.options != 'object') {
+      return { options: {}, errors: [`unsupported stored options; expected version ${storageVersion}`] };
+    }
+    return validateOptions(stored.options);
+  }
+
+  // stores the instance's options under key now and after every option change, until the returned function is called. changes made
+  // by a replayed session are left out, since those are the session's options rather than the user's
+  function storeOptions(instance, storage, key) {
+    let save = () => {
+      if (instance.replayer || instance.destroyed) { return; }
+      let options = {};
+      for (let name in optionSchema) {
+        if (!optionSchema[name].linkOnly) { options[name] = instance.getOption(name); }
+      }
+      try {
+        storage.setItem(key, JSON.stringify({ version: storageVersion, options: options }));
+      } catch (error) {
+        // storage can be full or unavailable (private windows); the options just won't be kept then
+      }
+    };
+    save();
+    // 'input' is emitted before the option changes, so the options are read once the change has gone through
+    return instance.on('input', (input) => {
+      if (input.type == 'option') { Promise.resolve().then(save); }
+    });
+  }
+
+  let api = { optionSchema, checkOptionValue, validateOptions, decodeOptions, encodeOptions, loadOptions, storeOptions };
+  if (nodeModule) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
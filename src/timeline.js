@@ -0,0 +1,156 @@
+// scripted shows: a JSON timeline of cues, and a player that fires them through the simulation in step with the animation loop
+(function (root) {
+  const nodeModule = typeof module == 'object' && module.exports;
+  const { EventEmitter } = nodeModule ? require('./events.js') : root.ParticleExplosions;
+  const { getPattern } = nodeModule ? require('./patterns.js') : root.ParticleExplosions;
+  const { getPalette } = nodeModule ? require('./palettes.js') : root.ParticleExplosions;
+  const { checkShape } = nodeModule ? require('./shapes.js') : root.ParticleExplosions;
+
+  // a timeline looks like this (times in seconds, positions as fractions of the viewport, so shows survive resizes and DPR changes):
+  // {
+  //   "duration": 12,                  -> optional. defaults to 3 seconds after the last cue
+  //   "loop": false,                   -> optional
+  //   "cues": [
+  //     { "time": 0.5, "x": 0.5, "y": 0.3, "hue": 40, "pattern": "ring", "count": 150, "shell": true, "crackle": 0.2 }
+  //   ]
+  // }
+  // every cue field except time, x and y is optional. shell launches the burst from the floor (see Simulation.launchShell()),
+  // palette draws it in a palette other than the instance's (a name or a list of colors, see palettes.js), and shape has its
+  // particles spell out a word or draw a picture first (a shape made by textShape() or imageShape(), see shapes.js)
+  const cueFields = ['time', 'x', 'y', 'hue', 'pattern', 'count', 'shell', 'crackle', 'palette', 'shape'];
+
+  // validates a timeline (an object or a JSON string) and returns a normalized copy with its cues sorted by time. throws on bad input
+  function parseTimeline(timeline) {
+    if (typeof timeline == 'string') { timeline = JSON.parse(timeline); }
+    if (!timeline || !Array.isArray(timeline.cues)) { throw new Error('A timeline needs a "cues" array'); }
+
+    let cues = timeline.cues.map((cue, i) => {
+      let fail = (message) => { throw new Error(`Timeline cue ${i}: ${message}`); };
+      if (!cue || typeof cue != 'object') { fail('not an object'); }
+      for (let name in cue) {
+        if (!cueFields.includes(name)) { fail(`unknown field "${name}"`); }
+      }
+      if (!(cue.time >= 0)) { fail('time must be a number of seconds >= 0'); }
+      if (!(cue.x >= 0 && cue.x <= 1) || !(cue.y >= 0 && cue.y <= 1)) { fail('x and y must be between 0 and 1'); }
+      if (cue.hue !== undefined && !isFinite(cue.hue)) { fail('hue must be a number'); }
+      if (cue.count !== undefined && !(Number.isInteger(cue.count) && cue.count > 0)) { fail('count must be a positive integer'); }
+      if (cue.crackle !== undefined && !(cue.crackle >= 0 && cue.crackle <= 1)) { fail('crackle must be between 0 and 1'); }
+      if (cue.pattern !== undefined && cue.pattern != 'cycle') { getPattern(cue.pattern); }   // throws for unknown patterns
+      if (cue.palette !== undefined) {
+        try {
+          getPalette(cue.palette);
+        } catch (error) {
+          fail(error.message);
+        }
+      }
+      if (cue.shape !== undefined) {
+        let error = checkShape(cue.shape);
+        if (error) { fail(`shape: ${error}`); }
+      }
+      return Object.assign({}, cue, { shell: !!cue.shell });
+    });
+    cues.sort((a, b) => a.time - b.time);
+
+    let lastCueTime = cues.length ? cues[cues.length - 1].time : 0;
+    let duration = timeline.duration !== undefined ? timeline.duration : lastCueTime + 3;
+    if (!(duration >= lastCueTime)) { throw new Error('A timeline\'s duration can\'t be shorter than its last cue'); }
+
+    return { duration: duration, loop: !!timeline.loop, cues: cues };
+  }
+
+  /////////////////////////////////
+  //    Timeline Player Class    //
+  /////////////////////////////////
+  // plays a timeline on a simulation. step() is called from the animation loop with the same refreshThrottle the simulation gets,
+  // so cues stay in sync with the particles no matter the frame rate. emits 'cue' for every fired cue and 'end' when the show ends
+  class TimelinePlayer extends EventEmitter {
+    constructor(sim, timeline) {
+      super();
+      this.sim = sim;
+      this.timeline = parseTimeline(timeline);
+      this.loop = this.timeline.loop;
+      this.time = 0;          // seconds since the start of the show
+      this.nextCue = 0;       // index of the next cue to fire
+      this.playing = false;
+    }
+
+    get duration() {
+      return this.timeline.duration;
+    }
+
+    play() {
+      if (this.time >= this.duration) { this.seek(0); }
+      this.playing = true;
+    }
+
+    pause() {
+      this.playing = false;
+    }
+
+    // jumps to a time (in seconds). cues before that time are skipped, not fired
+    seek(time) {
+      this.time = Math.min(Math.max(time, 0), this.duration);
+      this.nextCue = 0;
+      while (this.nextCue < this.timeline.cues.length && this.timeline.cues[this.nextCue].time < this.time) {
+        this.nextCue++;
+      }
+    }
+
+    setLoop(loop) {
+      this.loop = !!loop;
+    }
+
+    // advances the show by one frame. refreshThrottle is in 30fps ticks, like everywhere else
+    step(refreshThrottle) {
+      if (!this.playing) { return; }
+      this.time += refreshThrottle / 30;
+      this.fireDueCues();
+
+      if (this.time >= this.duration) {
+        if (this.loop && this.duration > 0) {
+          // wrap around, firing the cues at the start of the show the overshoot has already passed
+          this.time = (this.time - this.duration) % this.duration;
+          this.nextCue = 0;
+          this.fireDueCues();
+        } else {
+          this.time = this.duration;
+          this.playing = false;
+          this.emit('end', this);
+        }
+      }
+    }
+
+    fireDueCues() {
+      let cues = this.timeline.cues;
+      while (this.nextCue < cues.length && cues[this.nextCue].time <= this.time) {
+        this.fire(cues[this.nextCue]);
+        this.nextCue++;
+      }
+    }
+
+    fire(cue) {
+      fireCue(this.sim, cue);
+      this.emit('cue', cue);
+    }
+  }
+
+  // sets off a cue's burst or shell. its normalized position is turned into device pixels at the moment it fires, so the current
+  // viewport size is always used. also how a recorded session replays the cues of a show (see recorder.js)
+  function fireCue(sim, cue) {
+    let opts = { hue: cue.hue, pattern: cue.pattern, count: cue.count, crackle: cue.crackle, palette: cue.palette, shape: cue.shape };
+    let x = cue.x * sim.width;
+    let y = cue.y * sim.height;
+    if (cue.shell) {
+      sim.launchShell(x, y, opts);
+    } else {
+      sim.particleBurst(x, y, opts);
+    }
+  }
+
+  let api = { TimelinePlayer, parseTimeline, fireCue };
+  if (nodeModule) {
+    module.exports = api;
+  } else {
+    root.ParticleExplosions = Object.assign(root.ParticleExplosions || {}, api);
+  }
+})(globalThis);
@@ -0,0 +1,125 @@
+// the worker side of the worker option (see ParticleExplosions): runs the simulation and draws it to OffscreenCanvases, driven by
+// messages from the page. explosions.js starts it; it isn't meant to be loaded any other way
+importScripts('./rng.js', './events.js', './patterns.js', './forces.js', './palettes.js', './emitters.js', './obstacles.js', './pool.js', './simulation.js', './renderer.js', './stats.js');
+
+(function (root) {
+  const { Simulation, Renderer, sampleFrame } = root.ParticleExplosions;
+
+  // messages from the page:
+  //   { type: 'init', config, settings, canvases: { canvas, reflectCanvas, glowCanvas } } -> canvases are transferred OffscreenCanvases
+  //     (and countParticles, the showStats option)
+  //   { type: 'burst' | 'launch', x, y, opts }                                           -> positions in device pixels
+  //   { type: 'push', x, y }                                                             -> in device pixels
+  //   { type: 'option', name, value }
+  //   { type: 'settings', settings }                                                     -> see ParticleExplosions.applySettings()
+  //   { type: 'seed', seed }, { type: 'clear' }, { type: 'pause' }, { type: 'resume' }
+  //   { type: 'resize', width, height, dpr, keepImage }
+  // messages to the page: { type: 'burst', x, y, hue, count, crackle } and { type: 'launch', x, y, hue } (in CSS pixels),
+  // { type: 'bounce', count, x, y }, { type: 'groupend' } and { type: 'frame', refreshThrottle, stats } after every frame (the
+  // quality governor times those; stats are the frame's, see stats.js)
+  let sim = null;
+  let renderer = null;
+  let settings = null;   // the rendering toggles, shared with the renderer
+  let countParticles = false;   // whether frame stats count the live particles, which only the stats panel shows (see stats.js)
+  let paused = false;
+  let frameRequest = null;
+  let lastFrameTime = 0;
+
+  // dedicated workers only have requestAnimationFrame in some browsers
+  const requestFrame = root.requestAnimationFrame ? root.requestAnimationFrame.bind(root) : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+  const cancelFrame = root.cancelAnimationFrame ? root.cancelAnimationFrame.bind(root) : clearTimeout;
+
+  function init(message) {
+    settings = message.settings;
+    countParticles = !!message.countParticles;
+    sim = new Simulation(message.config);
+    sim.on('burst', (group) => root.postMessage({
+      type: 'burst', x: group.x / sim.dpr, y: group.y / sim.dpr, hue: group.hue, count: group.count, crackle: !!group.pattern.secondary
+    }));
+    sim.on('launch', (shell) => root.postMessage({ type: 'launch', x: shell.rocket.x / sim.dpr, y: shell.rocket.y / sim.dpr, hue: shell.hue }));
+    sim.on('groupend', () => root.postMessage({ type: 'groupend' }));
+    sim.on('bounce', (bounce) => root.postMessage({ type: 'bounce', count: bounce.count, x: bounce.x / sim.dpr, y: bounce.y / sim.dpr }));
+
+    let canvases = Object.assign({ hiddenCanvas: new OffscreenCanvas(sim.width, sim.height) }, message.canvases);
+    renderer = new Renderer(sim, settings, canvases);
+    sim.reset(270);
+
+    lastFrameTime = performance.now();
+    frameRequest = requestFrame(animate);
+  }
+
+  // the same frame as ParticleExplosions.stepFrame(), timed like ParticleExplosions.animate()
+  function animate(callbackTime) {
+    let frameTime = callbackTime - lastFrameTime;
+    let refreshThrottle = Math.min(frameTime / 30, 1);
+    lastFrameTime = callbackTime;
+
+    let start = performance.now();
+    let steppedGroups = sim.step(refreshThrottle);
+    for (let i = 0; i < steppedGroups.length; i++) {
+      renderer.enqueue(steppedGroups[i]);
+    }
+    let stepTime = performance.now() - start;
+    let rendered = renderer.renderQueue.length > 0 || renderer.isFading();
+    if (rendered) {
+      renderer.render(refreshThrottle);
+    }
+    let stats = sampleFrame(sim, renderer, refreshThrottle, { frameTime: frameTime, stepTime: stepTime }, rendered, countParticles);
+    root.postMessage({ type: 'frame', refreshThrottle: refreshThrottle, stats: stats });
+
+    frameRequest = requestFrame(animate);
+  }
+
+  root.onmessage = (e) => {
+    let message = e.data;
+    switch (message.type) {
+      case 'init':
+        init(message);
+      break;
+      case 'burst':
+        sim.particleBurst(message.x, message.y, message.opts);
+        sim.newBurstTimer = 60;
+      break;
+      case 'launch':
+        sim.launchShell(message.x, message.y, message.opts);
+        sim.newBurstTimer = 60;
+      break;
+      case 'push':
+        sim.push(message.x, message.y);
+      break;
+      case 'option':
+        if (message.name == 'showStats') { countParticles = !!message.value; }
+        sim.applyOption(message.name, message.value);
+      break;
+      case 'settings':
+        Object.assign(settings, message.settings);
+        sim.configure({
+          particlesPerBurst: settings.particlesPerBurst, autoBursts: settings.autoBursts, burstInterval: settings.burstInterval
+        });
+      break;
+      case 'seed':
+        sim.rng.reseed(message.seed);
+        sim.reset(270);
+        renderer.clear();
+      break;
+      case 'clear':
+        renderer.clear();
+      break;
+      case 'resize':
+        sim.resize(message.width, message.height, message.dpr);
+        renderer.resizeCanvases(message.keepImage);
+      break;
+      case 'pause':
+        if (paused) { break; }
+        paused = true;
+        cancelFrame(frameRequest);
+      break;
+      case 'resume':
+        if (!paused) { break; }
+        paused = false;
+        lastFrameTime = performance.now();
+        frameRequest = requestFrame(animate);
+      break;
+    }
+  };
+})(globalThis);
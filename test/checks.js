@@ -0,0 +1,266 @@
+// quick checks of the promises the simulation makes about determinism, of how option values are checked, of how trails fade and
+// of the sound engine's graphs, runnable without a browser:
+//
+//   node test/checks.js
+//
+// every check prints its name and throws (ending the run with a non-zero exit code) if it doesn't hold
+const assert = require('assert');
+const { RNG } = require('../src/rng.js');
+const { Simulation } = require('../src/simulation.js');
+const { Renderer } = require('../src/renderer.js');
+const { SoundEngine } = require('../src/audio.js');
+const { ParticleExplosions } = require('../src/explosions.js');
+const { parsePresets } = require('../src/presets.js');
+
+function check(name, run) {
+  run();
+  console.log(`ok - ${name}`);
+}
+
+// every particle value of a group, for comparing bursts
+function groupValues(group) {
+  let values = [group.hue, group.count];
+  for (let i = 0; i < group.count; i++) {
+    let particle = group.particle(i);
+    values.push(particle.x, particle.y, particle.z, particle.xSpeed, particle.ySpeed, particle.zSpeed, particle.lifetime);
+  }
+  return values;
+}
+
+function simulation(seed) {
+  return new Simulation({ width: 800, height: 600, dpr: 1, autoBursts: false, seed: seed });
+}
+
+// a stand-in for an AudioContext that keeps the graph it's asked to build, and fails on the calls Web Audio would refuse
+function stubAudioContext() {
+  let nodes = [];
+  function param(value) {
+    return {
+      value: value,
+      setValueAtTime(target, time) { assert.ok(Number.isFinite(target) && time >= 0); },
+      exponentialRampToValueAtTime(target, time) { assert.ok(target > 0 && time >= 0, 'exponential ramps need a value above 0'); },
+      setTargetAtTime(target, time, constant) { assert.ok(Number.isFinite(target) && time >= 0 && constant > 0); }
+    };
+  }
+  function node(type, params = {}) {
+    let created = { type: type, outputs: [] };
+    created.connect = (target) => { created.outputs.push(target); return target; };
+    created.disconnect = () => { created.outputs = []; };
+    for (let name in params) { created[name] = param(params[name]); }
+    nodes.push(created);
+    return created;
+  }
+  function source(type, params) {
+    let created = node(type, params);
+    created.start = (time, offset = 0) => {
+      assert.ok(!created.started && time >= 0 && offset >= 0, 'a source can only be started once');
+      created.started = time;
+    };
+    created.stop = (time) => {
+      assert.ok(created.started !== undefined && time > created.started, 'a source has to be stopped after it starts');
+      created.stopped = time;
+    };
+    return created;
+  }
+  let context = {
+    sampleRate: 8000,
+    currentTime: 0,
+    state: 'running',
+    nodes: nodes,
+    createDynamicsCompressor: () => node('compressor'),
+    createGain: () => node('gain', { gain: 1 }),
+    createBiquadFilter: () => node('filter', { frequency: 350 }),
+    createStereoPanner: () => node('panner', { pan: 0 }),
+    createOscillator: () => source('oscillator', { frequency: 440 }),
+    createBufferSource: () => source('bufferSource'),
+    createBuffer: (channels, length) => {
+      let samples = new Float32Array(length);
+      return { length: length, getChannelData: () => samples };
+    }
+  };
+  context.destination = node('destination');
+  return context;
+}
+
+// a stand-in for a canvas whose 2d context keeps its pixels the way browsers do, as 8 bits per channel premultiplied by alpha, for
+// the calls trails are faded with
+function premultipliedCanvas() {
+  let canvas = { width: 0, height: 0 };
+  let pixels = new Uint8ClampedArray(0);
+  let saved = [];
+  let sized = () => {
+    if (pixels.length != canvas.width * canvas.height * 4) { pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4); }
+    return pixels;
+  };
+  let ctx = {
+    canvas: canvas,
+    globalCompositeOperation: 'source-over',
+    globalAlpha: 1,
+    save() { saved.push([ctx.globalCompositeOperation, ctx.globalAlpha]); },
+    restore() { [ctx.globalCompositeOperation, ctx.globalAlpha] = saved.pop(); },
+    clearRect() { sized().fill(0); },
+    getImageData() {
+      let data = new Uint8ClampedArray(sized().length);
+      for (let i = 0; i < data.length; i += 4) {
+        let alpha = data[i + 3] = pixels[i + 3];
+        for (let c = 0; c < 3; c++) { data[i + c] = alpha ? Math.round(pixels[i + c] * 255 / alpha) : 0; }
+      }
+      return { data: data };
+    },
+    putImageData(image) {
+      sized();
+      for (let i = 0; i < pixels.length; i += 4) {
+        let alpha = pixels[i + 3] = image.data[i + 3];
+        for (let c = 0; c < 3; c++) { pixels[i + c] = Math.round(image.data[i + c] * alpha / 255); }
+      }
+    },
+    fillRect() {
+      assert.strictEqual(ctx.globalCompositeOperation, 'destination-out', 'trails only fill to take away');
+      let alpha = Math.round(ctx.globalAlpha * 255);
+      for (let i = 0; i < sized().length; i++) { pixels[i] = Math.round(pixels[i] * (255 - alpha) / 255); }
+    }
+  };
+  canvas.getContext = () => ctx;
+  return canvas;
+}
+
+function hue([r, g, b]) {
+  let max = Math.max(r, g, b);
+  let range = max - Math.min(r, g, b);
+  if (range == 0) { return 0; }
+  let sector = max == r ? (g - b) / range : max == g ? 2 + ((b - r) / range) : 4 + ((r - g) / range);
+  return ((sector * 60) + 360) % 360;
+}
+
+// whether a node's output makes it to the context's destination
+function reachesDestination(node, destination) {
+  return node == destination || node.outputs.some((output) => reachesDestination(output, destination));
+}
+
+check('a seed gives the same chain of random values every time', () => {
+  let rng = new RNG(1234);
+  let values = [rng.value(), rng.value(), rng.value(), rng.value()];
+  assert.deepStrictEqual(values, [0.07329497812315822, 0.7034119898453355, 0.9028560190927237, 0.9705493662040681]);
+  rng.reseed(1234);
+  assert.strictEqual(rng.value(), values[0]);
+  // numeric strings are the number they spell; other strings are hashed
+  assert.strictEqual(new RNG('1234').value(), values[0]);
+  assert.strictEqual(RNG.normalizeSeed('fireworks'), 626462085);
+  assert.strictEqual(new RNG('fireworks').value(), 0.10923178121447563);
+});
+
+check('a seeded simulation plays out the same every time, auto bursts and all', () => {
+  let runs = [1, 2].map(() => {
+    let sim = new Simulation({ width: 800, height: 600, dpr: 1, seed: 'fireworks' });
+    sim.reset(270);
+    for (let i = 0; i < 300; i++) { sim.step(i % 3 == 0 ? 0.5 : 1); }
+    return sim.particleGroups.map(groupValues);
+  });
+  assert.ok(runs[0].length > 1, 'the auto bursts should have gone off');
+  assert.deepStrictEqual(runs[0], runs[1]);
+});
+
+check('a seeded burst is the same on a fresh simulation and on one that reuses a smaller or larger group', () => {
+  let fresh = simulation(1).particleBurst(300, 200, { seed: 42, count: 80 });
+  for (let count of [20, 300]) {
+    let sim = simulation(99);
+    sim.particleBurst(100, 100, { count: count, crackle: 0 });
+    for (let i = 0; i < 400; i++) { sim.step(1); }
+    let groups = sim.particleGroups.slice();
+    let group = sim.particleBurst(300, 200, { seed: 42, count: 80 });
+    assert.ok(groups.includes(group), 'the burst should have reused a finished group');
+    assert.deepStrictEqual(groupValues(group), groupValues(fresh));
+  }
+});
+
+check('a group that grows resets every particle once, and still draws the values its new particles drew before the pool', () => {
+  let sim = simulation(7);
+  let group = sim.particleBurst(100, 100, { count: 20, crackle: 0 });
+  let pattern = { init() {} };
+  let resets = 0;
+  let reset = sim.pool.reset;
+  sim.pool.reset = function (slot, x, y) {
+    resets++;
+    return reset.call(this, slot, x, y);
+  };
+  let start = sim.rng.iterator;
+  group.respawn(300, 200, pattern, 50);
+  assert.strictEqual(resets, 50);
+  assert.strictEqual(sim.rng.iterator - start, 1 + (30 * 5) + (50 * 5), 'a hue, 30 new particles and 50 resets');
+  // an exact respawn draws what a new group would, however many particles the group had
+  start = sim.rng.iterator;
+  group.respawn(300, 200, pattern, 80, true);
+  assert.strictEqual(sim.rng.iterator - start, 1 + (80 * 5));
+});
+
+check('a shaped burst has a live particle for every point, whatever the pattern', () => {
+  let points = [];
+  for (let i = 0; i < 100; i++) { points.push(i - 50, (i % 10) * 3); }
+  for (let pattern of require('../src/patterns.js').getPatternNames()) {
+    let group = simulation(3).particleBurst(400, 200, { pattern: pattern, shape: { points: points } });
+    let live = 0;
+    for (let i = 0; i < group.count; i++) { live += group.particle(i).lifetime > 0 ? 1 : 0; }
+    assert.strictEqual(live, 100, `${pattern} left ${100 - live} points empty`);
+  }
+});
+
+check('a burst that ends while catching up (advance) ends like any other, and its group is reused', () => {
+  let sim = simulation(5);
+  let ended = [];
+  sim.on('groupend', (group) => ended.push(group));
+  let group = sim.particleBurst(400, 200, { seed: 8, count: 30, crackle: 0, advance: 400 });
+  assert.strictEqual(group.rendering, false);
+  assert.deepStrictEqual(ended, [group]);
+  assert.ok(group.isIdle());
+  assert.strictEqual(sim.particleBurst(400, 200, { count: 30 }), group);
+});
+
+check('a fading trail keeps its hue down to the faintest alpha, and is gone once trailLength ticks have passed', () => {
+  for (let trailLength of [10, 90, 300]) {
+    for (let refreshThrottle of [1, 0.37]) {
+      let sim = new Simulation({ width: 1, height: 1, dpr: 1, autoBursts: false });
+      let canvases = { canvas: premultipliedCanvas(), hiddenCanvas: premultipliedCanvas(), reflectCanvas: premultipliedCanvas(), glowCanvas: premultipliedCanvas() };
+      let renderer = new Renderer(sim, { trailLength: trailLength, enableGlow: true, enableReflections: true }, canvases);
+      renderer.hiddenCtx.putImageData({ data: [255, 128, 0, 255] });    // hsl(30, 100%, 50%)
+      let alpha = 255;
+      for (let ticks = refreshThrottle; alpha > 0; ticks += refreshThrottle) {
+        renderer.fadeTrails(refreshThrottle);
+        let pixel = renderer.hiddenCtx.getImageData().data;
+        assert.ok(pixel[3] <= alpha, 'a trail never gets stronger');
+        alpha = pixel[3];
+        if (alpha > 0) { assert.ok(Math.abs(hue(pixel) - 30) < 8, `at alpha ${alpha}, hue 30 has drifted to ${hue(pixel)}`); }
+        assert.ok(alpha == 0 || ticks < trailLength, `a ${trailLength} tick trail is still there after ${ticks} ticks`);
+      }
+    }
+  }
+});
+
+check('presets and setOption() turn down the values that stored options and links would', () => {
+  // setOption() checks the value before it touches anything, so an instance without a page will do
+  let instance = Object.create(ParticleExplosions.prototype);
+  let bad = { gravity: 50, crackle: 'lots', enableGlow: 1, pattern: 'nope', forces: {} };
+  for (let name in bad) {
+    let preset = { version: 1, presets: [{ name: 'Bad', options: { [name]: bad[name] } }] };
+    assert.throws(() => parsePresets(preset, instance), new RegExp(`^Error: Preset 0: ${name}: `));
+    assert.throws(() => instance.setOption(name, bad[name]), new RegExp(`^Error: ${name}: `));
+  }
+  let good = { version: 1, presets: [{ name: 'Good', options: { gravity: 0.3, particlesPerBurst: 200, palette: 'monochrome' } }] };
+  assert.deepStrictEqual(parsePresets(good, instance), good.presets);
+});
+
+check('booms, crackle and ticks build graphs whose sources all play through to the destination', () => {
+  for (let sound of ['boom', 'crackle', 'tick']) {
+    let context = stubAudioContext();
+    let engine = new SoundEngine(context, { seed: 4 });
+    let before = context.nodes.length;
+    engine[sound]({ pan: -0.5, depth: 0.3, height: 0.6, count: 200 }, 0.1);
+    let sources = context.nodes.slice(before).filter((node) => node.start);
+    assert.ok(sources.length > 0, `${sound} should have made a sound`);
+    for (let node of sources) {
+      assert.ok(node.started >= 0.1 && node.stopped > node.started, `every source of ${sound} should start and stop`);
+      assert.ok(reachesDestination(node, context.destination), `every source of ${sound} should be heard`);
+    }
+    engine.destroy();
+    assert.ok(!reachesDestination(engine.master, context.destination), 'destroy() should disconnect the engine');
+  }
+});